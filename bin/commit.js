@@ -8,51 +8,234 @@ const CommitCLI = require("../src/index");
 const logger = require("../src/utils/logger");
 const pkg = require("../package.json");
 
-// Initialize CLI
-const cli = new CommitCLI();
+// Initialize CLI lazily so project configuration is loaded from the repo root
+let cliInstance = null;
+async function getCLI() {
+  if (!cliInstance) {
+    try {
+      cliInstance = await CommitCLI.create();
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+  }
+  return cliInstance;
+}
 
 // Setup commander
 program
   .name("commit")
   .description("Interactive commit message formatter with conventional commits")
-  .version(pkg.version || "1.0.0");
+  .version(pkg.version || "1.0.0")
+  // Options after a subcommand belong to it (e.g. "release --dry-run")
+  .enablePositionalOptions();
 
-// Default command - interactive mode
-program.action(async () => {
-  await cli.interactive();
-});
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - Option value
+ * @param {string[]} previous - Values so far
+ * @returns {string[]}
+ */
+function collect(value, previous = []) {
+  return [...previous, value];
+}
 
-// Quick commit with message
+// Default command: interactive mode, quick mode with -m, or no prompts at
+// all with --yes, -m - (stdin) or --type and --subject
 program
-  .option("-m, --message <message>", "Commit message (will be auto-formatted)")
+  .option(
+    "-m, --message <message>",
+    'Commit message (auto-formatted; "-" reads stdin)'
+  )
   .option("-t, --type <type>", "Commit type (feat, fix, docs, etc.)")
   .option("-s, --subject <subject>", "Commit subject")
-  .option("-o, --scope <scope>", "Commit scope");
+  .option("-o, --scope <scope>", "Commit scope")
+  .option("-b, --body <body>", "Commit body")
+  .option(
+    "--breaking [description]",
+    "Mark as breaking change, optionally describing it"
+  )
+  .option(
+    "--footer <footer>",
+    'Footer, e.g. "Refs: #123" (repeatable)',
+    collect
+  )
+  .option(
+    "--trailer <trailer>",
+    'Trailer, e.g. "Signed-off-by=Me" (repeatable)',
+    collect
+  )
+  .option("-y, --yes", "Skip all prompts; fail if the message is invalid")
+  .option("--no-verify", "Skip the pre-commit and commit-msg hooks")
+  .option("--dry-run", "Show the message without staging or committing")
+  .option("--print", "Print the message to stdout instead of committing")
+  .option(
+    "--output <file>",
+    "Write the message to a file instead of committing"
+  )
+  .action(async (options) => {
+    const cli = await getCLI();
+    const scripted =
+      options.yes ||
+      options.message === "-" ||
+      (options.type && options.subject);
+
+    if (scripted) {
+      await cli.nonInteractive(options);
+    } else if (options.message) {
+      await cli.quick(options.message, options);
+    } else {
+      await cli.interactive(options);
+    }
+  });
 
 // Amend last commit
 program
   .command("amend")
   .description("Amend and reformat last commit")
   .action(async () => {
+    const cli = await getCLI();
     await cli.amend();
   });
 
 // Validate commit history
 program
   .command("validate")
-  .description("Validate recent commits")
-  .option("-c, --count <number>", "Number of commits to check", "10")
+  .description("Validate commits (exits non-zero if any is invalid)")
+  .option("-c, --count <number>", "Number of commits to check (default: 10)")
+  .option("--from <ref>", "Validate commits after this ref (e.g. origin/main)")
+  .option("--to <ref>", "Validate commits up to this ref", "HEAD")
+  .option("--since <date>", "Only commits more recent than a date")
+  .option("--until <date>", "Only commits older than a date")
+  .option("--author <pattern>", "Only commits by a matching author")
+  .option("--include-merges", "Also validate merge commits")
+  .option(
+    "--format <format>",
+    "Output format: text, json, junit, sarif, github",
+    "text"
+  )
   .action(async (options) => {
-    const count = parseInt(options.count) || 10;
-    await cli.validateHistory(count);
+    const hasFilter =
+      options.from || options.since || options.until || options.author;
+    const count = parseInt(options.count) || (hasFilter ? null : 10);
+
+    const cli = await getCLI();
+    await cli.validateHistory({ ...options, count });
   });
 
 // Auto mode with suggestions
 program
   .command("auto")
   .description("Auto-suggest commit based on changes")
+  .option("--dry-run", "Show the message without committing")
+  .option("--print", "Print the message to stdout instead of committing")
+  .option(
+    "--output <file>",
+    "Write the message to a file instead of committing"
+  )
+  .option("--no-verify", "Skip the pre-commit and commit-msg hooks")
+  .action(async (options) => {
+    const cli = await getCLI();
+    await cli.auto(options);
+  });
+
+// Generate changelog
+program
+  .command("changelog")
+  .description("Generate CHANGELOG.md from conventional commits")
+  .option("-f, --from <ref>", "Start after this ref (defaults to the last tag)")
+  .option("-t, --to <ref>", "End at this ref", "HEAD")
+  .option("-r, --release-as <version>", "Version heading for the new section")
+  .option("--file <path>", "Changelog file (defaults to config changelog.file)")
+  .option("--stdout", "Print the section instead of writing the file")
+  .action(async (options) => {
+    const cli = await getCLI();
+    await cli.changelog(options);
+  });
+
+// Recommend next version
+program
+  .command("next-version")
+  .description("Recommend the next semantic version from commits")
+  .option("--pre-major", "Before 1.0.0, breaking changes only bump minor")
+  .option("--prerelease [id]", "Create a prerelease version (default id: rc)")
+  .option("--json", "Print the result as JSON")
+  .action(async (options) => {
+    const cli = await getCLI();
+    await cli.nextVersion(options);
+  });
+
+// Release
+program
+  .command("release")
+  .description("Bump version, update changelog, commit and tag")
+  .option(
+    "-r, --release-as <version>",
+    "Release type (major, minor, patch) or exact version"
+  )
+  .option("--pre-major", "Before 1.0.0, breaking changes only bump minor")
+  .option("--prerelease [id]", "Create a prerelease version (default id: rc)")
+  .option("--no-changelog", "Don't update the changelog")
+  .option("--dry-run", "Print the release plan without changing anything")
+  .action(async (options) => {
+    const cli = await getCLI();
+    await cli.release(options);
+  });
+
+// Scope detection
+const scopes = program.command("scopes").description("Inspect scope detection");
+
+scopes
+  .command("explain")
+  .description("Show which scope mapping entry matched each staged file")
   .action(async () => {
-    await cli.auto();
+    const cli = await getCLI();
+    await cli.explainScopes();
+  });
+
+// Git hooks
+const hook = program
+  .command("hook")
+  .description("Manage git hooks that run commit");
+
+hook
+  .command("install")
+  .description("Install a git hook (chains with an existing one)")
+  .argument("[name]", "Hook name", "commit-msg")
+  .action(async (name) => {
+    const cli = await getCLI();
+    await cli.installHook(name);
+  });
+
+hook
+  .command("uninstall")
+  .description("Remove a git hook installed by commit")
+  .argument("[name]", "Hook name", "commit-msg")
+  .action(async (name) => {
+    const cli = await getCLI();
+    await cli.uninstallHook(name);
+  });
+
+// Validate a commit message file (commit-msg hook)
+program
+  .command("lint-file")
+  .description("Validate a commit message file")
+  .argument("<path>", "Path to the commit message file")
+  .action(async (filePath) => {
+    const cli = await getCLI();
+    await cli.lintFile(filePath);
+  });
+
+// Fill in the commit message interactively (prepare-commit-msg hook)
+program
+  .command("prepare-file")
+  .description("Write a commit message file using the interactive prompt")
+  .argument("<path>", "Path to the commit message file")
+  .argument("[source]", "Source of the message, as passed by git")
+  .argument("[sha]", "Commit SHA, as passed by git")
+  .action(async (filePath, source) => {
+    const cli = await getCLI();
+    await cli.prepareFile(filePath, source);
   });
 
 // Show status
@@ -72,11 +255,14 @@ program
   .action(async () => {
     const fs = require("fs").promises;
     const path = require("path");
-    const defaults = require("../src/config/defaults");
+    const { createInitialConfig } = require("../src/config/loader");
 
     try {
       const configPath = path.join(process.cwd(), ".commitrc.json");
-      await fs.writeFile(configPath, JSON.stringify(defaults, null, 2));
+      await fs.writeFile(
+        configPath,
+        JSON.stringify(createInitialConfig(), null, 2)
+      );
       logger.success(`Created .commitrc.json`);
       logger.info("You can now customize the configuration");
     } catch (error) {
@@ -86,43 +272,3 @@ program
 
 // Parse command line arguments
 program.parse(process.argv);
-
-// Handle options from default command
-const options = program.opts();
-
-// If message option provided, use quick mode
-if (options.message) {
-  (async () => {
-    await cli.quick(options.message);
-  })();
-}
-
-// If type and subject provided, use quick format
-if (options.type && options.subject) {
-  (async () => {
-    const Formatter = require("../src/core/formatter");
-    const GitOperations = require("../src/git/operations");
-
-    const formatter = new Formatter();
-    const git = new GitOperations();
-
-    const message = formatter.format({
-      type: options.type,
-      scope: options.scope || null,
-      subject: options.subject,
-      body: null,
-      breaking: null,
-      footer: null,
-    });
-
-    logger.success(`Formatted: ${message}`);
-
-    try {
-      await git.commit(message);
-      logger.success("Committed! ✓");
-    } catch (error) {
-      logger.error("Commit failed: " + error.message);
-      process.exit(1);
-    }
-  })();
-}
@@ -2,61 +2,75 @@
 // Default configuration for conventional commits
 
 const defaults = {
+  // Convention preset: "angular" | "gitmoji" | "eslint" | "jira"
+  preset: "angular",
+
   types: [
     {
       value: "feat",
       name: "✨ feat:     A new feature",
       emoji: "✨",
+      section: "Features",
     },
     {
       value: "fix",
       name: "🐛 fix:      A bug fix",
       emoji: "🐛",
+      section: "Bug Fixes",
     },
     {
       value: "docs",
       name: "📚 docs:     Documentation only changes",
       emoji: "📚",
+      section: "Documentation",
     },
     {
       value: "style",
       name: "💎 style:    Code style changes (formatting, semicolons, etc)",
       emoji: "💎",
+      section: "Styles",
     },
     {
       value: "refactor",
       name: "📦 refactor: Code change that neither fixes a bug nor adds a feature",
       emoji: "📦",
+      section: "Code Refactoring",
     },
     {
       value: "perf",
       name: "🚀 perf:     Performance improvements",
       emoji: "🚀",
+      section: "Performance Improvements",
     },
     {
       value: "test",
       name: "🚨 test:     Adding or updating tests",
       emoji: "🚨",
+      section: "Tests",
     },
     {
       value: "build",
       name: "🛠️  build:    Changes to build system or dependencies",
       emoji: "🛠️",
+      section: "Build System",
     },
     {
       value: "ci",
       name: "⚙️  ci:       CI/CD configuration changes",
       emoji: "⚙️",
+      section: "Continuous Integration",
     },
     {
       value: "chore",
       name: "♻️  chore:    Other changes that don't modify src or test files",
       emoji: "♻️",
+      section: "Chores",
     },
     {
       value: "revert",
       name: "⏪ revert:   Reverts a previous commit",
       emoji: "⏪",
+      section: "Reverts",
     },
   ],
 
@@ -72,29 +86,148 @@ const defaults = {
     "docs",
   ],
 
+  // Map changed paths to scopes, CODEOWNERS-style: "/dir/" is anchored to
+  // the repository root, "name" matches at any depth, the last match wins.
+  // Inside monorepo packages only anchored entries beat the package scope
+  scopeMapping: [
+    { pattern: "/src/api/", scope: "api" },
+    { pattern: "/src/ui/", scope: "ui" },
+    { pattern: "/src/components/", scope: "ui" },
+    { pattern: "/src/db/", scope: "db" },
+    { pattern: "/migrations/", scope: "db" },
+    { pattern: "/src/auth/", scope: "auth" },
+    { pattern: "/test/", scope: "test" },
+    { pattern: "/tests/", scope: "test" },
+    { pattern: "/doc/", scope: "docs" },
+    { pattern: "/docs/", scope: "docs" },
+    { pattern: "README*", scope: "docs" },
+    { pattern: "package.json", scope: "deps" },
+    { pattern: "package-lock.json", scope: "deps" },
+    { pattern: "yarn.lock", scope: "deps" },
+    { pattern: "*.config.*", scope: "config" },
+    { pattern: "config/", scope: "config" },
+  ],
+
+  // Add monorepo package names (workspaces, pnpm, lerna) to the scopes
+  scopesFromWorkspaces: true,
+
   // Allow users to enter custom scopes
   allowCustomScopes: true,
 
   // Allow empty scopes
   allowEmptyScopes: true,
 
+  // Header layout: "conventional", "gitmoji", "eslint", "jira", a format
+  // registered by a plugin or a template like "[{scope?}] {type}: {subject}"
+  headerFormat: "conventional",
+
+  // Map conventional types (as detected or inferred) to configured types,
+  // e.g. { feat: "sparkles" }
+  typeAliases: {},
+
+  // Plugins: package names or paths relative to the config file
+  plugins: [],
+
   // Validation rules
   rules: {
     maxSubjectLength: 72,
     minSubjectLength: 3,
     maxLineLength: 100,
     enforceImperative: true,
-    subjectCase: "lowercase", // 'lowercase' | 'uppercase' | 'camelcase' | 'none'
+    subjectCase: "lowercase", // 'lowercase' | 'uppercase' | 'none'
     allowBreakingChanges: ["feat", "fix"],
   },
 
   // Prompt settings
   prompts: {
     skipQuestions: [], // ['scope', 'body', 'breaking', 'footer']
-    enableEmoji: true,
+    // Start headers with the type's emoji ("✨ feat: ..."), in one of the
+    // styles "unicode", "shortcode" (":sparkles: feat: ...") or "emoji-only"
+    // ("✨: ...")
+    enableEmoji: false,
+    emojiStyle: "unicode",
+    // Quick mode offers alternative types below this detection confidence
+    minConfidence: 0.6,
+    // Question wording
+    messages: {
+      type: "Select the type of change:",
+      scope: "What is the scope of this change? (optional)",
+      subject: "Write a short description (imperative mood):",
+      body: "Provide a longer description (optional). Opens editor:",
+      breaking: "Is this a BREAKING CHANGE?",
+      footer: 'Reference issues/PRs (e.g., "Closes #123, Refs PROJ-456"):',
+    },
+  },
+
+  // Changelog settings
+  changelog: {
+    file: "CHANGELOG.md",
+  },
+
+  // Release settings
+  release: {
+    // Files whose version is updated (JSON "version" key or plain text)
+    bumpFiles: ["package.json"],
+    tagPrefix: "v",
+    // Header of the release commit; "{tag}" and "{version}" are replaced.
+    // Without a scope, formats that require one get the branch's issue keys.
+    commit: { type: "chore", scope: "release", subject: "{tag}" },
+  },
+
+  // Issue keys read from the branch name and pre-filled in the footer
+  issues: {
+    // Regular expressions tried on the branch name; "reference" builds the
+    // key from a match ("$&" whole match, "$1" first group)
+    branchPatterns: [
+      // feature/PROJ-123-login → PROJ-123
+      { pattern: "\\b[A-Z][A-Z0-9]+-\\d+\\b", reference: "$&" },
+      // fix/456-crash → #456
+      { pattern: "(?:^|/)(\\d+)(?=[-_/]|$)", reference: "#$1" },
+    ],
+    footerToken: "Refs",
+    // Accepted references: #123, owner/repo#123, PROJ-123 and issue URLs
+    referenceFormats: [
+      "^(?:[\\w.-]+/[\\w.-]+)?#\\d+$",
+      "^[A-Z][A-Z0-9]+-\\d+$",
+      "^https?://\\S+/(?:issues|pull|browse|tickets?)/[\\w-]+$",
+    ],
+    // Commits that need a reference when the "references-empty" rule is on:
+    // these types or branches (globs), or every commit when both are empty
+    required: {
+      types: ["feat", "fix"],
+      branches: [],
+      // Headers (regular expressions) that never need a reference
+      allow: ["^chore\\(release\\)", "^Merge ", "^Revert "],
+    },
+  },
+
+  // Message suggestions for "commit auto" from a language model
+  suggestions: {
+    // null (off), "openai" for any OpenAI-compatible endpoint, or a provider
+    // added by a plugin
+    provider: null,
+    endpoint: "http://localhost:11434/v1/chat/completions",
+    model: "llama3",
+    // Environment variable holding the API key (sent as a bearer token)
+    apiKeyEnv: "COMMIT_SUGGESTIONS_API_KEY",
+    count: 3,
+    timeout: 15000, // ms
+    maxDiffSize: 12000, // characters sent, the rest is cut off
+    // Files never sent (scope mapping patterns)
+    exclude: [
+      ".env*",
+      "*.pem",
+      "*.key",
+      "package-lock.json",
+      "yarn.lock",
+      "pnpm-lock.yaml",
+      "*.min.js",
+      "*.map",
+      "dist/",
+    ],
   },
 
-  // Auto-detection keywords
+  // Auto-detection keywords (matched as whole words, "fixed" matches "fix")
   autoDetect: {
     feat: ["add", "create", "implement", "introduce", "new"],
     fix: ["fix", "resolve", "correct", "repair", "patch", "bug"],
@@ -0,0 +1,133 @@
+// src/config/loader.js
+// Load project configuration and merge it over the defaults
+
+const { cosmiconfig } = require("cosmiconfig");
+const GitOperations = require("../git/operations");
+const defaults = require("./defaults");
+const { getPreset } = require("./presets");
+
+const MODULE_NAME = "commit";
+
+const SEARCH_PLACES = [
+  "package.json",
+  ".commitrc",
+  ".commitrc.json",
+  ".commitrc.yaml",
+  ".commitrc.yml",
+  ".commitrc.js",
+  ".commitrc.cjs",
+  "commit.config.js",
+  "commit.config.cjs",
+];
+
+/**
+ * Check if a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Deep-merge user config over a base config.
+ * Objects are merged recursively, arrays and primitives are replaced.
+ * @param {Object} base - Base configuration
+ * @param {Object} override - User configuration
+ * @returns {Object} - New merged configuration
+ */
+function mergeConfig(base, override = {}) {
+  const result = { ...base };
+
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+
+    if (isPlainObject(value) && isPlainObject(base[key])) {
+      result[key] = mergeConfig(base[key], value);
+    } else if (Array.isArray(value)) {
+      result[key] = [...value];
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Merge user config over the defaults and the preset it selects
+ * @param {Object} config - User configuration
+ * @returns {Object} - New merged configuration
+ */
+function resolveConfig(config = {}) {
+  const preset = getPreset((config && config.preset) || defaults.preset);
+  return mergeConfig(mergeConfig(defaults, preset.config), config);
+}
+
+// Keys `commit init` writes next to the preset; the rest come from the
+// preset and the defaults, so switching presets takes effect
+const INIT_KEYS = ["scopeMapping", "scopesFromWorkspaces", "plugins"];
+
+/**
+ * Build the starting configuration written by `commit init`
+ * @param {string} preset - Preset name
+ * @returns {Object}
+ */
+function createInitialConfig(preset = defaults.preset) {
+  const config = { preset };
+  INIT_KEYS.forEach((key) => {
+    config[key] = defaults[key];
+  });
+  return config;
+}
+
+/**
+ * Find and load the project configuration from the repository root
+ * @param {Object} options - { cwd, git }
+ * @returns {Promise<Object>} - { config, filepath }
+ */
+async function loadConfig(options = {}) {
+  const git = options.git || new GitOperations();
+  const root = options.cwd || (await git.getRepoRoot());
+
+  const explorer = cosmiconfig(MODULE_NAME, {
+    searchPlaces: SEARCH_PLACES,
+    stopDir: root,
+  });
+
+  let result;
+  try {
+    result = await explorer.search(root);
+  } catch (error) {
+    throw new Error(`Failed to load configuration: ${error.message}`);
+  }
+
+  if (!result || result.isEmpty) {
+    return { config: resolveConfig(), filepath: null };
+  }
+
+  let config;
+  try {
+    config = resolveConfig(result.config);
+  } catch (error) {
+    throw new Error(`Invalid configuration: ${error.message}`);
+  }
+
+  return {
+    config,
+    filepath: result.filepath,
+  };
+}
+
+module.exports = {
+  createInitialConfig,
+  loadConfig,
+  mergeConfig,
+  resolveConfig,
+  SEARCH_PLACES,
+};
@@ -0,0 +1,212 @@
+// src/config/plugins.js
+// Load plugins listed in the config's "plugins" key
+//
+// A plugin is a module (local file or npm package) exporting an object, or a
+// function returning one when called with the plugin options:
+//
+//   {
+//     name: "my-org",
+//     rules: [{ id, level, when, value, validate(ast, when, value, context) }],
+//     types: [{ value, name, description, section }],
+//     scopeSuggesters: [(files, context) => scope | null],
+//     headerFormats: { name: { example, format(components), parse(line) } },
+//     suggestionProviders: { name: { suggest(request) => Promise<string[]> } },
+//   }
+
+const path = require("path");
+
+class PluginError extends Error {
+  /**
+   * @param {string} plugin - Plugin name as written in the config
+   * @param {string} message - What went wrong
+   */
+  constructor(plugin, message) {
+    super(`Plugin "${plugin}": ${message}`);
+    this.name = "PluginError";
+    this.plugin = plugin;
+  }
+}
+
+/**
+ * Create an empty plugin registry
+ * @returns {Object} - { names, rules, types, scopeSuggesters, headerFormats,
+ *   suggestionProviders }
+ */
+function createRegistry() {
+  return {
+    names: [],
+    rules: [],
+    types: [],
+    scopeSuggesters: [],
+    headerFormats: {},
+    suggestionProviders: {},
+  };
+}
+
+/**
+ * Load all plugins from config
+ * Entries are a module name/path, [name, options] or an inline plugin object.
+ * @param {Array} specs - The config's "plugins" value
+ * @param {Object} options - { cwd } used to resolve paths and packages
+ * @returns {Object} - Plugin registry
+ */
+function loadPlugins(specs = [], options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const registry = createRegistry();
+
+  if (!Array.isArray(specs)) {
+    throw new PluginError(String(specs), '"plugins" must be an array');
+  }
+
+  specs.forEach((spec) => {
+    if (spec && typeof spec === "object" && !Array.isArray(spec)) {
+      registerPlugin(registry, spec, spec.name || "inline plugin");
+      return;
+    }
+
+    const [name, pluginOptions = {}] = Array.isArray(spec) ? spec : [spec];
+    const exported = requirePlugin(name, cwd);
+
+    let plugin = exported;
+    if (typeof exported === "function") {
+      try {
+        plugin = exported(pluginOptions);
+      } catch (error) {
+        throw new PluginError(name, `failed to initialize: ${error.message}`);
+      }
+    }
+
+    registerPlugin(registry, plugin, name);
+  });
+
+  return registry;
+}
+
+/**
+ * Require a plugin module relative to the config directory
+ * @param {string} name - Relative/absolute path or package name
+ * @param {string} cwd - Directory to resolve from
+ * @returns {*} - Module export
+ */
+function requirePlugin(name, cwd) {
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new PluginError(String(name), "expected a module name or path");
+  }
+
+  const isPath = name.startsWith(".") || path.isAbsolute(name);
+  let resolved;
+
+  try {
+    resolved = isPath
+      ? require.resolve(path.resolve(cwd, name))
+      : require.resolve(name, { paths: [cwd] });
+  } catch (error) {
+    throw new PluginError(
+      name,
+      isPath
+        ? `file not found (${path.resolve(cwd, name)})`
+        : `package not found. Install it with: npm install --save-dev ${name}`
+    );
+  }
+
+  try {
+    const exported = require(resolved);
+    return exported && exported.__esModule ? exported.default : exported;
+  } catch (error) {
+    throw new PluginError(name, `failed to load: ${error.message}`);
+  }
+}
+
+/**
+ * Check a plugin's shape and add its contributions to the registry
+ * @param {Object} registry - Plugin registry
+ * @param {Object} plugin - Plugin definition
+ * @param {string} name - Plugin name for error messages
+ */
+function registerPlugin(registry, plugin, name) {
+  if (!plugin || typeof plugin !== "object") {
+    throw new PluginError(name, "must export an object or a function");
+  }
+
+  const { rules = [], types = [], scopeSuggesters = [] } = plugin;
+  const headerFormats = plugin.headerFormats || {};
+  const suggestionProviders = plugin.suggestionProviders || {};
+
+  Object.entries({ rules, types, scopeSuggesters }).forEach(([key, value]) => {
+    if (!Array.isArray(value)) {
+      throw new PluginError(name, `"${key}" must be an array`);
+    }
+  });
+  Object.entries({ headerFormats, suggestionProviders }).forEach(
+    ([key, value]) => {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        throw new PluginError(name, `"${key}" must be an object`);
+      }
+    }
+  );
+
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule.id !== "string") {
+      throw new PluginError(name, `rule #${index + 1} is missing an "id"`);
+    }
+    if (typeof rule.validate !== "function") {
+      throw new PluginError(name, `rule "${rule.id}" must have a validate()`);
+    }
+    registry.rules.push(rule);
+  });
+
+  types.forEach((type, index) => {
+    const normalized = typeof type === "string" ? { value: type } : type;
+    if (!normalized || typeof normalized.value !== "string") {
+      throw new PluginError(name, `type #${index + 1} is missing a "value"`);
+    }
+    registry.types.push({
+      name: normalized.description
+        ? `${normalized.value}: ${normalized.description}`
+        : normalized.value,
+      ...normalized,
+    });
+  });
+
+  scopeSuggesters.forEach((suggester, index) => {
+    if (typeof suggester !== "function") {
+      throw new PluginError(
+        name,
+        `scope suggester #${index + 1} must be a function`
+      );
+    }
+    registry.scopeSuggesters.push(suggester);
+  });
+
+  Object.entries(headerFormats).forEach(([formatName, format]) => {
+    if (
+      !format ||
+      typeof format.format !== "function" ||
+      typeof format.parse !== "function"
+    ) {
+      throw new PluginError(
+        name,
+        `header format "${formatName}" must have format() and parse()`
+      );
+    }
+    registry.headerFormats[formatName] = { name: formatName, ...format };
+  });
+
+  Object.entries(suggestionProviders).forEach(([providerName, provider]) => {
+    if (!provider || typeof provider.suggest !== "function") {
+      throw new PluginError(
+        name,
+        `suggestion provider "${providerName}" must have suggest()`
+      );
+    }
+    registry.suggestionProviders[providerName] = provider;
+  });
+
+  registry.names.push(plugin.name || name);
+}
+
+module.exports = {
+  loadPlugins,
+  createRegistry,
+  PluginError,
+};
@@ -0,0 +1,250 @@
+// src/config/presets.js
+// Convention presets: bundles of types, header format, rules and prompt
+// wording selected with the "preset" config key
+//
+// A preset's config is merged over the defaults and under the project config,
+// so a project can still adjust single keys of the preset it picks.
+// `typeAliases` maps conventional types (as inferred by `commit auto`) to the
+// preset's own types, and a type's `bump` drives `commit next-version` / `release`.
+
+const presets = {
+  angular: {
+    description: "Angular-style conventional commits (the defaults)",
+    config: {},
+  },
+
+  gitmoji: {
+    description: "Gitmoji shortcodes: :sparkles: add login",
+    config: {
+      headerFormat: "gitmoji",
+      types: [
+        {
+          value: "sparkles",
+          name: "✨ :sparkles:  Introduce new features",
+          emoji: "✨",
+          section: "Features",
+          bump: "minor",
+        },
+        {
+          value: "bug",
+          name: "🐛 :bug:  Fix a bug",
+          emoji: "🐛",
+          section: "Bug Fixes",
+          bump: "patch",
+        },
+        {
+          value: "ambulance",
+          name: "🚑 :ambulance:  Critical hotfix",
+          emoji: "🚑",
+          section: "Bug Fixes",
+          bump: "patch",
+        },
+        {
+          value: "zap",
+          name: "⚡ :zap:  Improve performance",
+          emoji: "⚡",
+          section: "Performance Improvements",
+          bump: "patch",
+        },
+        {
+          value: "boom",
+          name: "💥 :boom:  Introduce breaking changes",
+          emoji: "💥",
+          section: "Breaking Changes",
+        },
+        {
+          value: "memo",
+          name: "📝 :memo:  Add or update documentation",
+          emoji: "📝",
+          section: "Documentation",
+        },
+        {
+          value: "art",
+          name: "🎨 :art:  Improve structure / format of the code",
+          emoji: "🎨",
+          section: "Styles",
+        },
+        {
+          value: "recycle",
+          name: "♻️ :recycle:  Refactor code",
+          emoji: "♻️",
+          section: "Code Refactoring",
+        },
+        {
+          value: "white_check_mark",
+          name: "✅ :white_check_mark:  Add, update, or pass tests",
+          emoji: "✅",
+          section: "Tests",
+        },
+        {
+          value: "construction_worker",
+          name: "👷 :construction_worker:  Add or update CI build system",
+          emoji: "👷",
+          section: "Continuous Integration",
+        },
+        {
+          value: "arrow_up",
+          name: "⬆️ :arrow_up:  Upgrade dependencies",
+          emoji: "⬆️",
+          section: "Build System",
+        },
+        {
+          value: "wrench",
+          name: "🔧 :wrench:  Add or update configuration files",
+          emoji: "🔧",
+          section: "Chores",
+        },
+        {
+          value: "fire",
+          name: "🔥 :fire:  Remove code or files",
+          emoji: "🔥",
+          section: "Chores",
+        },
+        {
+          value: "bookmark",
+          name: "🔖 :bookmark:  Release / Version tags",
+          emoji: "🔖",
+          section: "Chores",
+        },
+      ],
+      typeAliases: {
+        feat: "sparkles",
+        fix: "bug",
+        perf: "zap",
+        docs: "memo",
+        style: "art",
+        refactor: "recycle",
+        test: "white_check_mark",
+        ci: "construction_worker",
+        build: "arrow_up",
+        chore: "wrench",
+      },
+      rules: {
+        allowBreakingChanges: ["boom"],
+      },
+      release: {
+        commit: { type: "bookmark", scope: null, subject: "release {tag}" },
+      },
+      prompts: {
+        messages: {
+          type: "Select the gitmoji that fits the change:",
+        },
+      },
+    },
+  },
+
+  eslint: {
+    description: "ESLint-style tags: Fix: Semi rule crashing (fixes #12)",
+    config: {
+      headerFormat: "eslint",
+      types: [
+        { value: "Fix", name: "Fix:      A bug fix", bump: "patch" },
+        {
+          value: "Update",
+          name: "Update:   Backwards-compatible enhancement",
+          bump: "minor",
+        },
+        { value: "New", name: "New:      A new feature", bump: "minor" },
+        {
+          value: "Breaking",
+          name: "Breaking: A backwards-incompatible change",
+        },
+        { value: "Docs", name: "Docs:     Documentation only changes" },
+        { value: "Build", name: "Build:    Changes to the build process" },
+        { value: "Upgrade", name: "Upgrade:  Dependency upgrade" },
+        { value: "Chore", name: "Chore:    Refactoring, tests, tooling" },
+      ],
+      typeAliases: {
+        feat: "New",
+        fix: "Fix",
+        perf: "Update",
+        docs: "Docs",
+        build: "Upgrade",
+        ci: "Build",
+        style: "Chore",
+        refactor: "Chore",
+        test: "Chore",
+        chore: "Chore",
+      },
+      scopes: [],
+      allowCustomScopes: false,
+      rules: {
+        subjectCase: "uppercase",
+        allowBreakingChanges: ["Breaking"],
+        "type-case": "off",
+      },
+      release: {
+        commit: { type: "Chore", scope: null, subject: "Release {tag}" },
+      },
+      prompts: {
+        skipQuestions: ["scope"],
+        messages: {
+          type: "Select the tag of the change:",
+          subject: "Write a short summary (starting with a capital letter):",
+          footer: 'Reference issues (e.g., "fixes #123"):',
+        },
+      },
+    },
+  },
+
+  jira: {
+    description: "Jira smart commits: PROJ-12 #comment fix login",
+    config: {
+      headerFormat: "jira",
+      types: [
+        { value: "comment", name: "#comment  Add a comment to the issue" },
+        { value: "time", name: "#time     Log work (e.g. 1w 2d 4h 30m)" },
+        {
+          value: "resolve",
+          name: "#resolve  Resolve the issue",
+          bump: "patch",
+        },
+        { value: "close", name: "#close    Close the issue", bump: "patch" },
+        { value: "start-progress", name: "#start-progress  Start progress" },
+      ],
+      typeAliases: {
+        feat: "comment",
+        fix: "resolve",
+        chore: "comment",
+      },
+      scopes: [],
+      allowEmptyScopes: false,
+      rules: {
+        subjectCase: "none",
+        enforceImperative: false,
+        minSubjectLength: 1,
+      },
+      release: {
+        commit: { type: "comment", scope: null, subject: "release {tag}" },
+      },
+      prompts: {
+        skipQuestions: ["breaking"],
+        messages: {
+          type: "Select the smart commit command:",
+          scope: "Issue key(s), e.g. PROJ-12:",
+          subject: "Comment, time spent or transition text:",
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Look up a preset by name
+ * @param {string} name - Preset name (defaults to "angular")
+ * @returns {Object} - { description, config }
+ */
+function getPreset(name = "angular") {
+  const preset = presets[name || "angular"];
+  if (!preset) {
+    throw new Error(
+      `Unknown preset "${name}". Available: ${Object.keys(presets).join(", ")}`
+    );
+  }
+  return preset;
+}
+
+module.exports = {
+  presets,
+  getPreset,
+};
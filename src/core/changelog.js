@@ -0,0 +1,182 @@
+// src/core/changelog.js
+// Generate changelog sections from conventional commit history
+
+const Validator = require("./validator");
+const defaults = require("../config/defaults");
+
+const DEFAULT_TITLE = "# Changelog";
+
+class Changelog {
+  /**
+   * @param {Object} config - Full config
+   * @param {Object} context - { plugins, headerFormat }
+   */
+  constructor(config = {}, context = {}) {
+    this.config = { ...defaults, ...config };
+    this.validator = new Validator(this.config.rules, {
+      ...context,
+      config: this.config,
+    });
+  }
+
+  /**
+   * Group commits by type and collect breaking changes
+   * Types sharing a section title share one group.
+   * @param {Array} commits - Array of { hash, message }
+   * @returns {Object} - { groups, breaking, skipped }
+   */
+  build(commits) {
+    const groups = [];
+    this.config.types.forEach((type) => {
+      const title = type.section || capitalize(type.value);
+      const existing = groups.find((group) => group.title === title);
+      if (existing) {
+        existing.types.push(type.value);
+        return;
+      }
+      groups.push({
+        type: type.value,
+        types: [type.value],
+        title,
+        emoji: type.emoji || null,
+        entries: [],
+      });
+    });
+    const breaking = [];
+    let skipped = 0;
+
+    commits.forEach((commit) => {
+      const ast = this.validator.parseCommit(commit.message);
+      const { header } = ast;
+      const group = header && groups.find((g) => g.types.includes(header.type));
+
+      if (!group) {
+        skipped++;
+        return;
+      }
+
+      const entry = {
+        scope: header.scope,
+        subject: header.subject,
+        hash: commit.hash,
+      };
+      group.entries.push(entry);
+
+      if (ast.breaking) {
+        const notes = ast.notes.length > 0 ? ast.notes : [{ text: null }];
+        notes.forEach((note) => {
+          breaking.push({
+            ...entry,
+            subject: note.text
+              ? note.text.replace(/\s*\n\s*/g, " ")
+              : header.subject,
+          });
+        });
+      }
+    });
+
+    return {
+      groups: groups.filter((group) => group.entries.length > 0),
+      breaking,
+      skipped,
+    };
+  }
+
+  /**
+   * Render a changelog section for a version
+   * @param {string} version - Version heading (e.g. "1.2.0")
+   * @param {Array} commits - Array of { hash, message }
+   * @param {Object} options - { date }
+   * @returns {string} - Markdown section
+   */
+  render(version, commits, options = {}) {
+    const date = options.date || new Date().toISOString().slice(0, 10);
+    const { groups, breaking } = this.build(commits);
+    const lines = [`## ${version} (${date})`];
+
+    if (breaking.length > 0) {
+      lines.push("", "### ⚠ BREAKING CHANGES", "");
+      breaking.forEach((entry) => lines.push(this.formatEntry(entry)));
+    }
+
+    groups.forEach((group) => {
+      const heading = group.emoji
+        ? `${group.emoji} ${group.title}`
+        : group.title;
+      lines.push("", `### ${heading}`, "");
+      group.entries.forEach((entry) => lines.push(this.formatEntry(entry)));
+    });
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Insert a new section above older entries of an existing changelog
+   * @param {string|null} existing - Current CHANGELOG.md content
+   * @param {string} section - Rendered section
+   * @returns {string} - Updated content
+   */
+  prepend(existing, section) {
+    if (!existing || existing.trim() === "") {
+      return `${DEFAULT_TITLE}\n\n${section}`;
+    }
+
+    const version = section.split("\n")[0].replace(/^## /, "").split(" ")[0];
+    if (this.hasVersion(existing, version)) {
+      throw new Error(`Changelog already contains a section for ${version}`);
+    }
+
+    const lines = existing.split("\n");
+    const firstSection = lines.findIndex((line) => line.startsWith("## "));
+
+    if (firstSection === -1) {
+      return `${existing.trimEnd()}\n\n${section}`;
+    }
+
+    const header = lines.slice(0, firstSection).join("\n").trimEnd();
+    const older = lines.slice(firstSection).join("\n");
+
+    return header
+      ? `${header}\n\n${section}\n${older}`
+      : `${section}\n${older}`;
+  }
+
+  /**
+   * Check if a changelog already has a section for a version
+   * @param {string} content - Changelog content
+   * @param {string} version - Version to look for
+   * @returns {boolean}
+   */
+  hasVersion(content, version) {
+    return content
+      .split("\n")
+      .some(
+        (line) =>
+          line.startsWith(`## ${version} `) ||
+          line.startsWith(`## [${version}]`) ||
+          line === `## ${version}`
+      );
+  }
+
+  /**
+   * Format a single changelog entry
+   * @param {Object} entry - { scope, subject, hash }
+   * @returns {string}
+   */
+  formatEntry(entry) {
+    const scope = entry.scope ? `**${entry.scope}:** ` : "";
+    const hash = entry.hash ? ` (${entry.hash})` : "";
+    return `* ${scope}${entry.subject}${hash}`;
+  }
+}
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} text - Text to capitalize
+ * @returns {string}
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = Changelog;
@@ -0,0 +1,104 @@
+// src/core/detection.js
+// Rank commit types by the keywords found in a free-form message
+
+// A keyword that opens the message ("fix login") counts more than one
+// further in ("login fix for the bug")
+const LEADING_WEIGHT = 2;
+const WORD_WEIGHT = 1;
+
+// Score at which the keywords alone are convincing (a leading keyword plus
+// one more); weaker matches lower the confidence even without competition
+const FULL_SCORE = 3;
+
+/**
+ * Reduce a word to a crude stem so "fixes", "fixed" and "fixing" all match
+ * "fix" (suffixes are only stripped when at least 3 letters remain)
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  const strip = (suffix, replacement = "") =>
+    word.endsWith(suffix) && word.length - suffix.length >= 3
+      ? word.slice(0, -suffix.length) + replacement
+      : null;
+
+  let stemmed =
+    strip("ies", "y") ||
+    strip("ing") ||
+    strip("ed") ||
+    (/(s|x|z|ch|sh)es$/.test(word) && strip("es")) ||
+    (!word.endsWith("ss") && strip("s")) ||
+    word;
+
+  if (stemmed.endsWith("e") && stemmed.length > 3) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  return stemmed;
+}
+
+/**
+ * Split text into stemmed words
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).map(stem);
+}
+
+/**
+ * Rank types by the keywords found in a message
+ * Keywords match whole (stemmed) words, so "address" does not match "add";
+ * multi-word keywords ("clean up") must appear in sequence.
+ * @param {string} message - Raw commit message
+ * @param {Object} keywords - { type: [keyword, ...] } (config.autoDetect)
+ * @returns {Array} - [{ type, score, confidence, keywords }] best first,
+ *   confidence (0-1) being the share of the total score, scaled down for
+ *   scores below FULL_SCORE
+ */
+function rankTypes(message, keywords = {}) {
+  const words = tokenize(message || "");
+  const candidates = [];
+
+  Object.entries(keywords).forEach(([type, list]) => {
+    let score = 0;
+    const matched = [];
+    const seen = new Set();
+
+    (list || []).forEach((keyword) => {
+      // "test" and "testing" share a stem and only count once
+      const phrase = tokenize(keyword);
+      const key = phrase.join(" ");
+      if (phrase.length === 0 || seen.has(key)) return;
+      seen.add(key);
+
+      for (let i = 0; i + phrase.length <= words.length; i++) {
+        if (phrase.every((part, j) => words[i + j] === part)) {
+          score += i === 0 ? LEADING_WEIGHT : WORD_WEIGHT;
+          matched.push(keyword);
+          break;
+        }
+      }
+    });
+
+    if (score > 0) {
+      candidates.push({ type, score, keywords: matched });
+    }
+  });
+
+  const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+  return candidates
+    .map((candidate) => {
+      const share = candidate.score / total;
+      const strength = Math.min(1, candidate.score / FULL_SCORE);
+      return {
+        ...candidate,
+        confidence: Math.round(share * strength * 100) / 100,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  stem,
+  rankTypes,
+};
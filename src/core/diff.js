@@ -0,0 +1,129 @@
+// src/core/diff.js
+// Parse unified diffs (git diff output) into files and hunks
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * Parse a unified diff
+ * @param {string} text - Output of `git diff`
+ * @returns {Array} - Files: { file, oldFile, status, binary, hunks,
+ *   additions, deletions } where status is added | deleted | renamed |
+ *   modified and each hunk is { oldStart, oldLines, newStart, newLines,
+ *   context, lines: [{ type: "+" | "-" | " ", content }] }
+ */
+function parseDiff(text = "") {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  text.split("\n").forEach((line) => {
+    if (line.startsWith("diff --git ")) {
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      file = {
+        file: match ? match[2] : null,
+        oldFile: match ? match[1] : null,
+        status: "modified",
+        binary: false,
+        hunks: [],
+        additions: 0,
+        deletions: 0,
+      };
+      hunk = null;
+      files.push(file);
+      return;
+    }
+
+    if (!file) return;
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        context: header[5].trim(),
+        lines: [],
+      };
+      file.hunks.push(hunk);
+      return;
+    }
+
+    if (!hunk) {
+      parseFileHeader(file, line);
+      return;
+    }
+
+    const type = line.charAt(0);
+    if (type === "+" || type === "-" || type === " ") {
+      hunk.lines.push({ type, content: line.slice(1) });
+      if (type === "+") file.additions++;
+      if (type === "-") file.deletions++;
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Read the extended header lines between "diff --git" and the first hunk
+ * @param {Object} file - File being parsed
+ * @param {string} line - Header line
+ */
+function parseFileHeader(file, line) {
+  if (line.startsWith("new file mode")) {
+    file.status = "added";
+  } else if (line.startsWith("deleted file mode")) {
+    file.status = "deleted";
+  } else if (line.startsWith("rename from ")) {
+    file.status = "renamed";
+    file.oldFile = line.slice("rename from ".length);
+  } else if (line.startsWith("rename to ")) {
+    file.file = line.slice("rename to ".length);
+  } else if (line.startsWith("Binary files ")) {
+    file.binary = true;
+  } else if (line.startsWith("+++ b/")) {
+    file.file = line.slice("+++ b/".length);
+  } else if (line.startsWith("--- a/") && !file.oldFile) {
+    file.oldFile = line.slice("--- a/".length);
+  }
+}
+
+/**
+ * Get the added or removed lines of a file
+ * @param {Object} file - Parsed file
+ * @param {string} type - "+" or "-"
+ * @returns {string[]}
+ */
+function getChangedLines(file, type) {
+  return file.hunks.flatMap((hunk) =>
+    hunk.lines.filter((line) => line.type === type).map((line) => line.content)
+  );
+}
+
+/**
+ * Check whether every hunk of a file only changes whitespace
+ * @param {Object} file - Parsed file
+ * @returns {boolean}
+ */
+function isWhitespaceOnly(file) {
+  if (file.status !== "modified" || file.binary || file.hunks.length === 0) {
+    return false;
+  }
+
+  const squash = (lines) => lines.join("").replace(/\s+/g, "");
+  return file.hunks.every((hunk) => {
+    const removed = hunk.lines.filter((l) => l.type === "-");
+    const added = hunk.lines.filter((l) => l.type === "+");
+    return (
+      squash(removed.map((l) => l.content)) ===
+      squash(added.map((l) => l.content))
+    );
+  });
+}
+
+module.exports = {
+  parseDiff,
+  getChangedLines,
+  isWhitespaceOnly,
+};
@@ -0,0 +1,113 @@
+// src/core/emoji.js
+// Emoji in headers: render a type's emoji and recognize it when parsing
+//
+// Styles (prompts.emojiStyle):
+//   "unicode"    ✨ feat(ui): add dark mode
+//   "shortcode"  :sparkles: feat(ui): add dark mode
+//   "emoji-only" ✨(ui): add dark mode (the emoji stands for the type)
+
+const EMOJI_STYLES = ["unicode", "shortcode", "emoji-only"];
+
+// Shortcodes of the emoji used by the default and preset types
+const SHORTCODES = {
+  "✨": "sparkles",
+  "🐛": "bug",
+  "📚": "books",
+  "💎": "gem",
+  "📦": "package",
+  "🚀": "rocket",
+  "🚨": "rotating_light",
+  "🛠": "hammer_and_wrench",
+  "⚙": "gear",
+  "♻": "recycle",
+  "⏪": "rewind",
+  "🚑": "ambulance",
+  "⚡": "zap",
+  "💥": "boom",
+  "📝": "memo",
+  "🎨": "art",
+  "✅": "white_check_mark",
+  "👷": "construction_worker",
+  "⬆": "arrow_up",
+  "🔧": "wrench",
+  "🔥": "fire",
+  "🔖": "bookmark",
+};
+
+// A leading emoji (with variation selectors and ZWJ sequences) or :shortcode:
+const LEADING_EMOJI =
+  /^(\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*\uFE0F?|:[\w+-]+:)\s*/u;
+
+/**
+ * Drop variation selectors (U+FE0F) so both forms of "⚙" compare equal
+ * @param {string} emoji - Emoji
+ * @returns {string}
+ */
+function normalizeEmoji(emoji) {
+  return String(emoji || "").replace(/\uFE0F/g, "");
+}
+
+/**
+ * Get the shortcode of a type's emoji
+ * @param {Object} type - Type config { value, emoji, shortcode }
+ * @returns {string|null} - e.g. "sparkles"
+ */
+function getShortcode(type) {
+  return type.shortcode || SHORTCODES[normalizeEmoji(type.emoji)] || null;
+}
+
+/**
+ * Check whether an emoji (unicode or :shortcode:) belongs to a type
+ * @param {string} emoji - Emoji from a header
+ * @param {Object} type - Type config { value, emoji, shortcode }
+ * @returns {boolean}
+ */
+function emojiMatchesType(emoji, type) {
+  if (!type.emoji && !type.shortcode) {
+    return false;
+  }
+  return (
+    normalizeEmoji(emoji) === normalizeEmoji(type.emoji) ||
+    emoji === `:${getShortcode(type)}:`
+  );
+}
+
+/**
+ * Render the emoji of a type in the given style
+ * @param {Object} type - Type config { value, emoji, shortcode }
+ * @param {string} style - "unicode" | "shortcode" | "emoji-only"
+ * @returns {string|null} - Emoji, or null when the type has none
+ */
+function renderEmoji(type, style) {
+  if (style === "shortcode") {
+    const shortcode = getShortcode(type);
+    return shortcode ? `:${shortcode}:` : null;
+  }
+  return type.emoji || null;
+}
+
+/**
+ * Split a leading emoji off a header line
+ * @param {string} line - Header line
+ * @returns {Object|null} - { emoji, prefix, rest } or null without an emoji
+ */
+function splitEmoji(line) {
+  const match = line.match(LEADING_EMOJI);
+  if (!match) {
+    return null;
+  }
+  return {
+    emoji: match[1],
+    prefix: match[0],
+    rest: line.slice(match[0].length),
+  };
+}
+
+module.exports = {
+  EMOJI_STYLES,
+  SHORTCODES,
+  getShortcode,
+  emojiMatchesType,
+  renderEmoji,
+  splitEmoji,
+};
@@ -1,29 +1,55 @@
 // src/core/formatter.js
 // Format commit messages to conventional commit standard
 
+const defaults = require("../config/defaults");
+const { getHeaderFormat } = require("./headers");
+const { applyCase } = require("./rules");
+const { explainScopes } = require("./scopes");
+const { rankTypes } = require("./detection");
+const { EMOJI_STYLES, renderEmoji } = require("./emoji");
+
 class Formatter {
+  /**
+   * @param {Object} config - Full config
+   * @param {Object} context - { plugins, headerFormat, packages }
+   */
+  constructor(config = {}, context = {}) {
+    this.config = { ...defaults, ...config };
+    this.rules = { ...defaults.rules, ...config.rules };
+    this.headerFormat = getHeaderFormat(context.headerFormat);
+    this.scopeSuggesters = context.plugins
+      ? context.plugins.scopeSuggesters
+      : [];
+    this.packages = context.packages || [];
+
+    const prompts = { ...defaults.prompts, ...config.prompts };
+    this.emojiStyle = prompts.enableEmoji ? prompts.emojiStyle : null;
+    if (this.emojiStyle && !EMOJI_STYLES.includes(this.emojiStyle)) {
+      throw new Error(
+        `Unknown emoji style "${
+          this.emojiStyle
+        }". Available: ${EMOJI_STYLES.join(", ")}`
+      );
+    }
+  }
+
   /**
    * Format a commit message from components
    * @param {Object} components - { type, scope, subject, body, breaking, footer }
+   *   plus optional `bang` (add "!" to the header), `footers` (trailers) and
+   *   `fields` (values of extra header template placeholders)
    * @returns {string} - Formatted commit message
    */
   format(components) {
-    const { type, scope, subject, body, breaking, footer } = components;
-
-    // Build header
-    let header = type;
-    if (scope) {
-      header += `(${scope})`;
-    }
-    header += `: ${subject}`;
+    const { body, breaking, footer, footers = [] } = components;
 
     // Build full message
-    const parts = [header];
+    const parts = [this.formatHeader(components)];
 
     // Add blank line before body
     if (body) {
       parts.push("");
-      parts.push(this.wrapText(body, 100));
+      parts.push(this.wrapText(body, this.rules.maxLineLength));
     }
 
     // Add breaking change
@@ -40,9 +66,69 @@ class Formatter {
       parts.push(footer);
     }
 
+    // Add trailers
+    if (footers.length > 0) {
+      if (!breaking && !footer) {
+        parts.push("");
+      }
+      footers.forEach((trailer) => parts.push(this.formatFooter(trailer)));
+    }
+
     return parts.join("\n");
   }
 
+  /**
+   * Format the header line
+   * With prompts.enableEmoji the type's emoji is added in prompts.emojiStyle.
+   * @param {Object} components - { type, scope, subject, bang }
+   * @returns {string} - Header in the configured format (type(scope)!: subject)
+   */
+  formatHeader(components) {
+    const type =
+      this.emojiStyle &&
+      (this.config.types || []).find((t) => t.value === components.type);
+    const emoji = type ? renderEmoji(type, this.emojiStyle) : null;
+
+    if (!emoji) {
+      return this.headerFormat.format(components);
+    }
+    if (this.emojiStyle === "emoji-only") {
+      return this.headerFormat.format({ ...components, type: emoji });
+    }
+    return `${emoji} ${this.headerFormat.format(components)}`;
+  }
+
+  /**
+   * Format a single footer (git trailer)
+   * @param {Object} footer - { token, separator, value }
+   * @returns {string}
+   */
+  formatFooter(footer) {
+    const separator = footer.separator || ": ";
+    return `${footer.token}${separator}${footer.value}`;
+  }
+
+  /**
+   * Format a message from a parsed commit AST, keeping body and footers
+   * @param {Object} ast - AST from Parser.parse
+   * @returns {string} - Formatted commit message
+   */
+  formatCommit(ast) {
+    const { header } = ast;
+
+    return this.format({
+      type: header.type,
+      scope: header.scope,
+      subject: header.subject,
+      fields: header.fields,
+      bang: header.breaking,
+      body: ast.body ? ast.body.text : null,
+      breaking: null,
+      footer: null,
+      footers: ast.footers,
+    });
+  }
+
   /**
    * Wrap text to specified line length
    * @param {string} text - Text to wrap
@@ -52,6 +138,14 @@ class Formatter {
   wrapText(text, maxLength = 100) {
     if (!text) return "";
 
+    // Wrap each line on its own to keep paragraphs and lists intact
+    if (text.includes("\n")) {
+      return text
+        .split("\n")
+        .map((line) => this.wrapText(line, maxLength))
+        .join("\n");
+    }
+
     const words = text.split(" ");
     const lines = [];
     let currentLine = "";
@@ -70,43 +164,52 @@ class Formatter {
   }
 
   /**
-   * Detect commit type from message content
-   * @param {string} message - Raw commit message
-   * @returns {string|null} - Detected type or null
+   * Map a conventional type to the configured one through config.typeAliases
+   * @param {string} type - Conventional type (e.g. "feat")
+   * @returns {string} - Aliased type (e.g. "sparkles" with gitmoji)
    */
-  detectType(message) {
-    const lowerMessage = message.toLowerCase();
-
-    const typeKeywords = {
-      feat: ["add", "create", "implement", "introduce", "new"],
-      fix: ["fix", "resolve", "correct", "repair", "patch", "bug"],
-      docs: ["document", "readme", "docs", "comment"],
-      refactor: ["refactor", "restructure", "reorganize", "cleanup"],
-      test: ["test", "testing", "spec", "coverage"],
-      style: ["format", "styling", "indent", "whitespace"],
-      chore: ["update", "upgrade", "dependency", "deps", "maintain"],
-      perf: ["optimize", "performance", "faster", "speed"],
-    };
+  resolveType(type) {
+    return (this.config.typeAliases || {})[type] || type;
+  }
 
-    for (const [type, keywords] of Object.entries(typeKeywords)) {
-      for (const keyword of keywords) {
-        if (lowerMessage.includes(keyword)) {
-          return type;
-        }
+  /**
+   * Rank the configured types by the keywords in config.autoDetect
+   * @param {string} message - Raw commit message
+   * @returns {Array} - [{ type, score, confidence, keywords }] best first
+   */
+  rankTypes(message) {
+    const types = (this.config.types || []).map((t) => t.value);
+    const keywords = {};
+    Object.entries(this.config.autoDetect || {}).forEach(([type, words]) => {
+      const resolved = this.resolveType(type);
+      if (types.includes(resolved)) {
+        keywords[resolved] = [...(keywords[resolved] || []), ...words];
       }
-    }
+    });
+    return rankTypes(message, keywords);
+  }
 
-    return null;
+  /**
+   * Detect commit type from message content
+   * @param {string} message - Raw commit message
+   * @returns {string|null} - Best ranked type or null
+   */
+  detectType(message) {
+    const [best] = this.rankTypes(message);
+    return best ? best.type : null;
   }
 
   /**
    * Auto-format a raw message into conventional format
    * @param {string} rawMessage - Raw commit message
    * @param {string} detectedType - Pre-detected type (optional)
-   * @returns {Object} - { type, subject, confidence }
+   * @returns {Object} - { type, subject, confidence, candidates } where
+   *   confidence is 0-1 and candidates are the ranked types
    */
   autoFormat(rawMessage, detectedType = null) {
-    const type = detectedType || this.detectType(rawMessage) || "chore";
+    const candidates = detectedType ? [] : this.rankTypes(rawMessage);
+    const [best] = candidates;
+    const type = detectedType || (best ? best.type : this.resolveType("chore"));
 
     // Clean up the message
     let subject = rawMessage
@@ -115,52 +218,58 @@ class Formatter {
       .replace(/^(add|adds|added|adding):\s*/i, "")
       .replace(/^(update|updates|updated|updating):\s*/i, "");
 
-    // Ensure lowercase start
-    subject = subject.charAt(0).toLowerCase() + subject.slice(1);
+    // Match the configured subject case
+    subject = applyCase(subject, this.rules.subjectCase);
 
     // Remove trailing period
     subject = subject.replace(/\.$/, "");
 
     // Limit length
-    if (subject.length > 72) {
-      subject = subject.substring(0, 69) + "...";
+    const maxLength = this.rules.maxSubjectLength;
+    if (subject.length > maxLength) {
+      subject = subject.substring(0, maxLength - 3) + "...";
     }
 
-    return {
-      type,
-      subject,
-      confidence: detectedType ? "high" : "medium",
-    };
+    let confidence = 0;
+    if (detectedType) {
+      confidence = 1;
+    } else if (best) {
+      confidence = best.confidence;
+    }
+
+    return { type, subject, confidence, candidates };
   }
 
   /**
-   * Extract scope from git diff or file paths
+   * Suggest a scope for the changed files
+   * Plugin suggesters come first, then the scope mapping and monorepo
+   * packages scored by changed lines, then the first directory.
    * @param {Array} changedFiles - Array of changed file paths
+   * @param {Object} weights - Changed lines per file (defaults to 1)
    * @returns {string|null} - Suggested scope
    */
-  suggestScope(changedFiles) {
+  suggestScope(changedFiles, weights = {}) {
     if (!changedFiles || changedFiles.length === 0) {
       return null;
     }
 
-    // Common patterns
-    const patterns = [
-      { pattern: /^src\/api\//, scope: "api" },
-      { pattern: /^src\/ui\/|^src\/components\//, scope: "ui" },
-      { pattern: /^src\/db\/|^migrations\//, scope: "db" },
-      { pattern: /^src\/auth\//, scope: "auth" },
-      { pattern: /^tests?\//, scope: "test" },
-      { pattern: /^docs?\/|README/, scope: "docs" },
-      { pattern: /package\.json|yarn\.lock|package-lock\.json/, scope: "deps" },
-      { pattern: /\.config\.|config\//, scope: "config" },
-    ];
-
-    for (const { pattern, scope } of patterns) {
-      if (changedFiles.some((file) => pattern.test(file))) {
+    // Plugin suggesters take precedence
+    for (const suggest of this.scopeSuggesters) {
+      const scope = suggest(changedFiles, { config: this.config, weights });
+      if (scope) {
         return scope;
       }
     }
 
+    const { scores } = this.explainScope(changedFiles, weights);
+    if (scores.length > 0) {
+      // Changes spanning several packages get all their scopes
+      const packageScopes = this.getPackageScopes(changedFiles, weights);
+      return packageScopes.length === scores.length
+        ? packageScopes.join(",")
+        : scores[0].scope;
+    }
+
     // Try to extract from first directory
     const firstFile = changedFiles[0];
     const match = firstFile.match(/^(?:src\/)?([^\/]+)\//);
@@ -171,6 +280,32 @@ class Formatter {
     return null;
   }
 
+  /**
+   * Show how each changed file maps to a scope
+   * @param {Array} changedFiles - Changed file paths
+   * @param {Object} weights - Changed lines per file
+   * @returns {Object} - { files, scores } from explainScopes
+   */
+  explainScope(changedFiles, weights = {}) {
+    return explainScopes(changedFiles, {
+      mapping: this.config.scopeMapping,
+      packages: this.packages,
+      weights,
+    });
+  }
+
+  /**
+   * Get the scopes of the monorepo packages that own the given files
+   * @param {Array} changedFiles - Changed file paths
+   * @param {Object} weights - Changed lines per file
+   * @returns {string[]} - Package scopes, most changed lines first
+   */
+  getPackageScopes(changedFiles = [], weights = {}) {
+    return this.explainScope(changedFiles, weights)
+      .scores.filter((score) => !score.sources.has("mapping"))
+      .map((score) => score.scope);
+  }
+
   /**
    * Clean and normalize subject text
    * @param {string} subject - Raw subject
@@ -0,0 +1,351 @@
+// src/core/headers.js
+// Header formats: how a header line is built from and parsed into components
+//
+// A header format is { name, example, format(components), parse(line) }.
+// `parse` returns { type, scope, breaking, subject } (optionally with
+// `position` and template `fields`) or null when the line does not match.
+//
+// A template such as "{type}{scope?}{!}: {subject} [{ticket}]" compiles into
+// a header format of its own, see compileHeaderTemplate.
+
+// type(scope)!: subject
+const HEADER_PATTERN = /^(\w+)(?:\(([^()\r\n]+)\))?(!)?:\s*(.+)$/;
+
+const conventional = {
+  name: "conventional",
+  example: "type(scope): subject",
+
+  /**
+   * Build a header line
+   * @param {Object} components - { type, scope, subject, bang }
+   * @returns {string} - type(scope)!: subject
+   */
+  format({ type, scope, subject, bang }) {
+    let header = type;
+    if (scope) {
+      header += `(${scope})`;
+    }
+    if (bang) {
+      header += "!";
+    }
+    return `${header}: ${subject}`;
+  },
+
+  /**
+   * Parse a header line
+   * @param {string} line - Header line
+   * @returns {Object|null}
+   */
+  parse(line) {
+    const match = line.match(HEADER_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, type, scope, bang, subject] = match;
+    return {
+      type,
+      scope: scope || null,
+      breaking: Boolean(bang),
+      subject,
+      position: {
+        type: { line: 1, column: 1 },
+        scope: scope ? { line: 1, column: type.length + 2 } : null,
+        subject: { line: 1, column: line.length - subject.length + 1 },
+      },
+    };
+  },
+};
+
+// :sparkles: (scope) subject
+const GITMOJI_PATTERN = /^:([\w+-]+):\s+(?:\(([^()\r\n]+)\)\s+)?(.+)$/;
+
+const gitmoji = {
+  name: "gitmoji",
+  example: ":gitmoji: (scope) subject",
+
+  format({ type, scope, subject }) {
+    return `:${type}: ${scope ? `(${scope}) ` : ""}${subject}`;
+  },
+
+  parse(line) {
+    const match = line.match(GITMOJI_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, type, scope, subject] = match;
+    return { type, scope: scope || null, breaking: type === "boom", subject };
+  },
+};
+
+// Tag: Subject
+const ESLINT_PATTERN = /^([A-Z][a-z]+):\s+(.+)$/;
+
+const eslint = {
+  name: "eslint",
+  example: "Tag: Subject",
+
+  format({ type, subject }) {
+    return `${type}: ${subject}`;
+  },
+
+  parse(line) {
+    const match = line.match(ESLINT_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, type, subject] = match;
+    return { type, scope: null, breaking: type === "Breaking", subject };
+  },
+};
+
+// PROJ-12 PROJ-13 #command text (Jira smart commits)
+const JIRA_PATTERN =
+  /^([A-Z][A-Z0-9]+-\d+(?:[ ,]+[A-Z][A-Z0-9]+-\d+)*)\s+#([\w-]+)\s+(.+)$/;
+
+const jira = {
+  name: "jira",
+  example: "PROJ-12 #command subject",
+
+  format({ type, scope, subject }) {
+    const keys = (scope || "").split(",").map((key) => key.trim());
+    return `${keys.join(" ")} #${type} ${subject}`;
+  },
+
+  parse(line) {
+    const match = line.match(JIRA_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, keys, type, subject] = match;
+    return {
+      type,
+      scope: keys.split(/[ ,]+/).join(","),
+      breaking: false,
+      subject,
+    };
+  },
+};
+
+const headerFormats = { conventional, gitmoji, eslint, jira };
+
+// {name}, {name?} (optional) and {!} (breaking change marker)
+const PLACEHOLDER = /\{(!|[A-Za-z]\w*)(\?)?\}/g;
+
+const BRACKETS = { "(": ")", "[": "]", "<": ">" };
+
+// What each placeholder matches; other names match up to a bracket
+const FIELD_PATTERNS = {
+  type: "\\w[\\w-]*",
+  subject: ".+?",
+};
+const DEFAULT_FIELD_PATTERN = "[^()[\\]<>\\r\\n]+?";
+
+const COMPONENTS = ["type", "scope", "subject"];
+
+/**
+ * Compile a header template into a header format
+ * An optional placeholder is dropped together with the brackets around it
+ * and one space when it has no value; without brackets of its own it is
+ * wrapped in parentheses, so "{type}{scope?}: {subject}" reads like
+ * "type(scope): subject".
+ * @param {string} template - e.g. "[{scope}] {type}: {subject}"
+ * @returns {Object} - Header format; `fields` lists the extra placeholders
+ */
+function compileHeaderTemplate(template) {
+  const tokens = tokenizeTemplate(template);
+  const names = tokens.filter((token) => token.name).map((token) => token.name);
+
+  ["type", "subject"].forEach((name) => {
+    if (!names.includes(name)) {
+      throw new Error(
+        `Header template "${template}" needs a {${name}} placeholder`
+      );
+    }
+  });
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(
+      `Header template "${template}" uses {${duplicate}} more than once`
+    );
+  }
+
+  // Every part of the template is a group of its own, so columns add up
+  // from the matched lengths (match indices would need Node 16)
+  const segments = [];
+  const group = (pattern, name = null) => {
+    segments.push(name);
+    return `(${pattern})`;
+  };
+  const source = tokens
+    .map((token) => {
+      if (token.name === undefined) return group(escapeLiteral(token.literal));
+      if (token.name === "!") return group("!?", "!");
+
+      const pattern = FIELD_PATTERNS[token.name] || DEFAULT_FIELD_PATTERN;
+      if (!token.optional) return group(pattern, token.name);
+      return `(?:${group(escapeLiteral(token.before))}${group(
+        pattern,
+        token.name
+      )}${group(escapeLiteral(token.after))})?`;
+    })
+    .join("");
+  const pattern = new RegExp(`^${source}$`);
+
+  const valueOf = (components, name) =>
+    COMPONENTS.includes(name)
+      ? components[name]
+      : (components.fields || {})[name];
+
+  return {
+    name: "template",
+    example: template,
+    fields: tokens
+      .filter((token) => token.name && token.name !== "!")
+      .filter((token) => !COMPONENTS.includes(token.name))
+      .map((token) => ({ name: token.name, optional: token.optional })),
+
+    format(components) {
+      return tokens
+        .map((token) => {
+          if (token.name === undefined) return token.literal;
+          if (token.name === "!") return components.bang ? "!" : "";
+
+          const value = valueOf(components, token.name);
+          if (!token.optional) return value || "";
+          return value ? `${token.before}${value}${token.after}` : "";
+        })
+        .join("");
+    },
+
+    parse(line) {
+      const match = pattern.exec(line);
+      if (!match) {
+        return null;
+      }
+
+      const values = {};
+      const columns = {};
+      let offset = 0;
+      segments.forEach((name, index) => {
+        const value = match[index + 1];
+        if (name && value !== undefined) {
+          values[name] = value;
+          columns[name] = { line: 1, column: offset + 1 };
+        }
+        offset += value ? value.length : 0;
+      });
+      const { type, scope, subject, "!": bang, ...fields } = values;
+
+      return {
+        type,
+        scope: scope || null,
+        breaking: Boolean(bang),
+        subject,
+        fields,
+        position: {
+          type: columns.type || null,
+          scope: columns.scope || null,
+          subject: columns.subject || null,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Split a header template into literal and placeholder tokens
+ * Literals and placeholders alternate, starting and ending with a literal.
+ * @param {string} template - Header template
+ * @returns {Array} - [{ literal }, { name, optional, before, after }, ...]
+ */
+function tokenizeTemplate(template) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    tokens.push({ literal: template.slice(last, match.index) });
+    tokens.push({
+      name: match[1],
+      optional: Boolean(match[2]) || match[1] === "!",
+      before: "",
+      after: "",
+    });
+    last = match.index + match[0].length;
+  }
+  tokens.push({ literal: template.slice(last) });
+
+  // Optional placeholders take their brackets and one space with them
+  tokens.forEach((token, index) => {
+    if (!token.optional || token.name === "!") return;
+
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    const open = previous.literal.slice(-1);
+
+    if (BRACKETS[open] && next.literal.startsWith(BRACKETS[open])) {
+      previous.literal = previous.literal.slice(0, -1);
+      next.literal = next.literal.slice(1);
+      token.before = open;
+      token.after = BRACKETS[open];
+    } else {
+      token.before = "(";
+      token.after = ")";
+    }
+
+    if (previous.literal.endsWith(" ")) {
+      previous.literal = previous.literal.slice(0, -1);
+      token.before = ` ${token.before}`;
+    } else if (next.literal.startsWith(" ")) {
+      next.literal = next.literal.slice(1);
+      token.after = `${token.after} `;
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Escape template text for a regular expression, letting spaces stretch
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeLiteral(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ +/g, "\\s+");
+}
+
+/**
+ * Look up a header format by name
+ * @param {string|Object} format - Format name, header template or header
+ *   format object
+ * @param {Object} custom - Extra formats by name (e.g. from plugins)
+ * @returns {Object} - Header format
+ */
+function getHeaderFormat(format = "conventional", custom = {}) {
+  if (format && typeof format === "object") {
+    return format;
+  }
+  if (typeof format === "string" && format.includes("{")) {
+    return compileHeaderTemplate(format);
+  }
+
+  const formats = { ...headerFormats, ...custom };
+  if (!formats[format]) {
+    throw new Error(
+      `Unknown header format "${format}". Available: ${Object.keys(
+        formats
+      ).join(", ")}`
+    );
+  }
+
+  return formats[format];
+}
+
+module.exports = {
+  headerFormats,
+  getHeaderFormat,
+  compileHeaderTemplate,
+};
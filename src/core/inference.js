@@ -0,0 +1,202 @@
+// src/core/inference.js
+// Infer the commit type from the staged diff
+
+const path = require("path");
+const { getChangedLines, isWhitespaceOnly } = require("./diff");
+
+const TEST_FILE =
+  /(^|\/)(__tests__|__mocks__|tests?|spec)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+const DOCS_FILE =
+  /(^|\/)docs?\/|\.(md|mdx|rst|adoc)$|(^|\/)(LICENSE|AUTHORS)(\.txt)?$/i;
+const LOCK_FILE =
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb)$/;
+const CI_FILE =
+  /^(\.github\/workflows\/|\.circleci\/|\.buildkite\/|\.gitlab-ci\.yml$|\.travis\.yml$|azure-pipelines\.yml$|Jenkinsfile$|bitbucket-pipelines\.yml$)/;
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/;
+
+// "name": "^1.2.3" lines inside dependency blocks
+const DEPENDENCY_LINE = /^\s*"[^"]+":\s*"[^"]*",?\s*$/;
+const NON_DEPENDENCY_KEYS =
+  /^\s*"(name|version|description|main|module|types|license|private)":/;
+const DEPENDENCY_BLOCKS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+const BLOCK_START = /^\s*"([^"]+)":\s*\{\s*$/;
+const BLOCK_END = /^\s*\},?\s*$/;
+// Without a visible block, only a version range marks a dependency
+const VERSION_VALUE = /:\s*"(?:[~^<>=*]|\d|workspace:|npm:)/;
+
+// export const x, export default class X, export { a, b as c }
+const EXPORT_DECLARATION =
+  /^\s*export\s+(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([\w$]+)/;
+const EXPORT_DEFAULT = /^\s*export\s+default\b/;
+const EXPORT_LIST = /^\s*export\s*(?:type\s*)?\{([^}]*)(\})?/;
+
+// CommonJS: exports object, single export and exports.name assignments
+const COMMONJS_LIST = /^\s*module\.exports\s*=\s*\{([^}]*)(\})?/;
+const COMMONJS_DEFAULT = /^\s*module\.exports\s*=(?!\s*\{)/;
+const COMMONJS_PROPERTY = /^\s*(?:module\.)?exports\.([\w$]+)\s*=/;
+
+/**
+ * Infer the commit type of a staged diff
+ * @param {Array} files - Files from parseDiff
+ * @returns {Object|null} - { type, reason } or null when nothing is certain
+ */
+function inferType(files) {
+  if (!files || files.length === 0) {
+    return null;
+  }
+
+  const all = (test) => files.every(test);
+
+  if (all(isWhitespaceOnly)) {
+    return { type: "style", reason: "Only whitespace and formatting changed" };
+  }
+  if (all((file) => TEST_FILE.test(file.file))) {
+    return { type: "test", reason: "Only test files changed" };
+  }
+  if (all((file) => DOCS_FILE.test(file.file))) {
+    return { type: "docs", reason: "Only documentation changed" };
+  }
+  if (all((file) => CI_FILE.test(file.file))) {
+    return { type: "ci", reason: "Only CI configuration changed" };
+  }
+  if (all(isDependencyChange)) {
+    return { type: "build", reason: "Only dependencies changed" };
+  }
+
+  const exported = files
+    .filter((file) => file.status === "added" && SOURCE_FILE.test(file.file))
+    .filter((file) => !TEST_FILE.test(file.file))
+    .map((file) => ({ file: file.file, symbols: getExportedSymbols(file) }))
+    .filter((entry) => entry.symbols.length > 0);
+
+  if (exported.length > 0) {
+    const [first] = exported;
+    const symbols = first.symbols.slice(0, 3).join(", ");
+    const more = exported.length > 1 ? ` (+${exported.length - 1} more)` : "";
+    return {
+      type: "feat",
+      reason: `New file ${first.file} exports ${symbols}${more}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a file only changes dependencies
+ * @param {Object} file - Parsed file
+ * @returns {boolean}
+ */
+function isDependencyChange(file) {
+  if (LOCK_FILE.test(file.file)) {
+    return true;
+  }
+  if (
+    path.basename(file.file) !== "package.json" ||
+    file.status !== "modified"
+  ) {
+    return false;
+  }
+
+  // Follow the blocks through each hunk, starting from the block named in
+  // the hunk header when there is one; null means not known
+  let changed = 0;
+  return (
+    file.hunks.every((hunk) => {
+      const context = hunk.context.match(/"([^"]+)":\s*\{/);
+      let block = context ? context[1] : null;
+
+      return hunk.lines.every(({ type, content }) => {
+        const start = content.match(BLOCK_START);
+        const isChange = type !== " " && content.trim() !== "";
+        if (isChange) changed++;
+
+        if (start || BLOCK_END.test(content)) {
+          block = start ? start[1] : "";
+          return !isChange;
+        }
+        if (!isChange) return true;
+
+        const inBlock =
+          block === null
+            ? VERSION_VALUE.test(content)
+            : DEPENDENCY_BLOCKS.includes(block);
+        return (
+          inBlock &&
+          DEPENDENCY_LINE.test(content) &&
+          !NON_DEPENDENCY_KEYS.test(content)
+        );
+      });
+    }) && changed > 0
+  );
+}
+
+/**
+ * List the symbols exported by the added (or removed) lines of a file
+ * @param {Object} file - Parsed file
+ * @param {string} type - "+" for added lines, "-" for removed lines
+ * @returns {string[]}
+ */
+function getExportedSymbols(file, type = "+") {
+  const symbols = new Set();
+  const fromList = (list) =>
+    list
+      .split(",")
+      .map((item) =>
+        item
+          .split(":")[0]
+          .split(/\s+as\s+/)
+          .pop()
+          .trim()
+      )
+      .filter((name) => /^[\w$]+$/.test(name));
+
+  const lines = getChangedLines(file, type);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+    if ((match = line.match(EXPORT_DECLARATION))) {
+      symbols.add(match[1]);
+    } else if (EXPORT_DEFAULT.test(line)) {
+      symbols.add("default");
+    } else if ((match = line.match(EXPORT_LIST) || line.match(COMMONJS_LIST))) {
+      // An export list may span lines up to its closing brace
+      let list = match[1];
+      while (!match[2] && i + 1 < lines.length) {
+        match = lines[++i].match(/^([^}]*)(\})?/);
+        list += `,${match[1]}`;
+      }
+      const names = fromList(list);
+      names.forEach((name) => symbols.add(name));
+      if (names.length === 0 && COMMONJS_LIST.test(line)) {
+        symbols.add(path.basename(file.file).replace(/\..*$/, ""));
+      }
+    } else if ((match = line.match(COMMONJS_PROPERTY))) {
+      symbols.add(match[1]);
+    } else if (COMMONJS_DEFAULT.test(line)) {
+      symbols.add(path.basename(file.file).replace(/\..*$/, ""));
+    }
+  }
+
+  return [...symbols];
+}
+
+/**
+ * Check whether a path is a test file
+ * @param {string} file - File path
+ * @returns {boolean}
+ */
+function isTestFile(file) {
+  return TEST_FILE.test(file);
+}
+
+module.exports = {
+  inferType,
+  getExportedSymbols,
+  isTestFile,
+};
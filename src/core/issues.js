@@ -0,0 +1,138 @@
+// src/core/issues.js
+// Issue references: keys from branch names and footer references
+
+const defaults = require("../config/defaults");
+
+// Accepted issue references unless configured otherwise
+const REFERENCE_FORMATS = defaults.issues.referenceFormats;
+
+// "Closes #1", "Refs: PROJ-2 PROJ-3", "Related to #4"
+const FOOTER_REFERENCE = /^([A-Za-z][\w-]*(?: [a-z]+)?):?\s+(.+)$/;
+
+/**
+ * Extract issue keys from a branch name
+ * Every pattern is a regular expression; its "reference" builds the key from
+ * a match ("$&" is the whole match, "$1" the first group).
+ * @param {string} branch - Branch name (e.g. "feature/PROJ-123-login")
+ * @param {Array} patterns - [{ pattern, reference, flags }]
+ * @returns {string[]} - Keys in order of appearance, without duplicates
+ */
+function extractIssueKeys(branch, patterns = []) {
+  if (!branch || branch === "HEAD") {
+    return [];
+  }
+
+  const keys = new Set();
+  patterns.forEach(({ pattern, reference = "$&", flags = "" }) => {
+    const regex = new RegExp(
+      pattern,
+      flags.includes("g") ? flags : flags + "g"
+    );
+    for (const match of branch.matchAll(regex)) {
+      keys.add(
+        reference.replace(/\$(&|\d)/g, (token, group) =>
+          group === "&" ? match[0] : match[Number(group)] || ""
+        )
+      );
+    }
+  });
+
+  return [...keys].filter(Boolean);
+}
+
+/**
+ * Build the footer for issue keys
+ * @param {string[]} keys - Issue keys
+ * @param {string} token - Footer token (e.g. "Refs", "Closes")
+ * @returns {string|null} - "Refs PROJ-1, PROJ-2" or null without keys
+ */
+function formatIssueFooter(keys, token = "Refs") {
+  return keys.length > 0 ? `${token} ${keys.join(", ")}` : null;
+}
+
+/**
+ * Check whether text is an issue reference
+ * @param {string} text - Candidate reference
+ * @param {string[]} formats - Regular expressions of accepted references
+ * @returns {boolean}
+ */
+function isReference(text, formats = REFERENCE_FORMATS) {
+  return formats.some((format) => new RegExp(format).test(text));
+}
+
+/**
+ * Find the issue references of a parsed commit
+ * Looks at the subject ("fix crash (#12)"), the footers ("Closes #12") and
+ * body lines made only of references ("Refs PROJ-12").
+ * @param {Object} ast - Parsed commit
+ * @param {string[]} formats - Regular expressions of accepted references
+ * @returns {string[]}
+ */
+function findReferences(ast, formats = REFERENCE_FORMATS) {
+  const words = (text) =>
+    text
+      .split(/[\s,()[\]]+/)
+      .map((word) => word.replace(/[.:;]+$/, ""))
+      .filter((word) => isReference(word, formats));
+
+  const found = [
+    ...(ast.header ? words(ast.header.subject) : []),
+    // "Closes #12" keeps the "#" in its separator
+    ...(ast.footers || []).flatMap((footer) =>
+      words(footer.separator === " #" ? `#${footer.value}` : footer.value)
+    ),
+  ];
+
+  (ast.body ? ast.body.text : "").split("\n").forEach((line) => {
+    const { references, invalid } = parseReferences(line, formats);
+    if (invalid.length === 0) {
+      found.push(...references.map((entry) => entry.reference));
+    }
+  });
+
+  return [...new Set(found)];
+}
+
+/**
+ * Parse issue references written in a footer
+ * Parts are separated by commas or new lines; a part without its own token
+ * ("Refs #1, #2") reuses the previous one.
+ * @param {string} text - Footer text
+ * @param {string[]} formats - Regular expressions of accepted references
+ * @returns {Object} - { references: [{ token, reference }], invalid: [part] }
+ */
+function parseReferences(text = "", formats = REFERENCE_FORMATS) {
+  const references = [];
+  const invalid = [];
+  let token = null;
+
+  text
+    .split(/[,\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const match = part.match(FOOTER_REFERENCE);
+      let values = part.split(/\s+/);
+      if (match && !isReference(match[1], formats)) {
+        token = match[1];
+        values = match[2].split(/\s+/);
+      }
+
+      if (!token || !values.every((value) => isReference(value, formats))) {
+        invalid.push(part);
+        return;
+      }
+      values.forEach((reference) => references.push({ token, reference }));
+    });
+
+  return { references, invalid };
+}
+
+module.exports = {
+  REFERENCE_FORMATS,
+  extractIssueKeys,
+  formatIssueFooter,
+  isReference,
+  findReferences,
+  parseReferences,
+};
@@ -0,0 +1,205 @@
+// src/core/parser.js
+// Parse commit messages following the Conventional Commits 1.0.0 spec
+
+const { getHeaderFormat } = require("./headers");
+const { emojiMatchesType, splitEmoji } = require("./emoji");
+
+// Token: value | Token #value (BREAKING CHANGE is the only token with a space)
+const FOOTER_PATTERN = /^(BREAKING CHANGE|BREAKING-CHANGE|[\w-]+)(: | #)(.*)$/;
+
+const BREAKING_TOKENS = ["BREAKING CHANGE", "BREAKING-CHANGE"];
+
+class Parser {
+  /**
+   * @param {Object} options - { headerFormat, types } where `types` resolve
+   *   emoji-only headers ("✨: add login") to their type
+   */
+  constructor(options = {}) {
+    this.headerFormat = getHeaderFormat(options.headerFormat);
+    this.types = options.types || [];
+  }
+
+  /**
+   * Parse a full commit message into an AST
+   *
+   * Positions are 1-based { line, column } objects so errors can point at
+   * the exact place in the message.
+   *
+   * @param {string} message - The commit message
+   * @returns {Object} - { raw, header, body, footers, notes, breaking, lines }
+   */
+  parse(message) {
+    const raw = (message || "").replace(/\r\n/g, "\n");
+    const lines = raw.split("\n");
+    const header = this.parseHeader(lines[0]);
+
+    const footerStart = this.findFooterStart(lines);
+    const bodyEnd = footerStart === -1 ? lines.length : footerStart;
+
+    const body = this.parseBody(lines, 1, bodyEnd);
+    const footers =
+      footerStart === -1 ? [] : this.parseFooters(lines, footerStart);
+
+    const notes = footers
+      .filter((footer) => BREAKING_TOKENS.includes(footer.token))
+      .map((footer) => ({ token: footer.token, text: footer.value }));
+
+    return {
+      raw,
+      header,
+      body,
+      footers,
+      notes,
+      breaking: Boolean(header && header.breaking) || notes.length > 0,
+      lines,
+    };
+  }
+
+  /**
+   * Parse the header line
+   * @param {string} line - First line of the commit
+   * @returns {Object|null} - Header node or null when malformed
+   */
+  parseHeader(line = "") {
+    let node = this.headerFormat.parse(line);
+    let emoji = null;
+
+    // "✨ feat: ...", ":sparkles: feat: ..." or, emoji-only, "✨: ..."
+    const split = node ? null : splitEmoji(line);
+    if (split) {
+      node = this.headerFormat.parse(split.rest);
+      if (!node) {
+        const type = this.types.find((t) => emojiMatchesType(split.emoji, t));
+        node = type ? this.headerFormat.parse(type.value + split.rest) : null;
+      }
+      emoji = split.emoji;
+    }
+
+    if (!node) {
+      return null;
+    }
+
+    const { type, scope, subject } = node;
+
+    return {
+      raw: line,
+      type,
+      scope: scope || null,
+      breaking: Boolean(node.breaking),
+      subject,
+      emoji,
+      fields: node.fields || {},
+      position: (!emoji && node.position) || {
+        type: findPosition(line, type),
+        scope: scope ? findPosition(line, scope) : null,
+        subject: findPosition(line, subject, line.length - subject.length),
+      },
+    };
+  }
+
+  /**
+   * Find the line where the footer section starts
+   * Only the last paragraph can hold footers. They start at its first
+   * "Token: " / "Token #" line; the lines after it that are not a token
+   * continue the previous footer's value.
+   * @param {string[]} lines - Message lines
+   * @returns {number} - Line index or -1
+   */
+  findFooterStart(lines) {
+    let end = lines.length;
+    while (end > 1 && lines[end - 1].trim() === "") end--;
+
+    let start = end;
+    while (start > 1 && lines[start - 1].trim() !== "") start--;
+
+    // The header's own paragraph never holds footers
+    if (start < 2) {
+      return -1;
+    }
+
+    for (let i = start; i < end; i++) {
+      if (FOOTER_PATTERN.test(lines[i])) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Extract the body between the header and the footers
+   * @param {string[]} lines - Message lines
+   * @param {number} start - First line index after the header
+   * @param {number} end - Line index where footers start
+   * @returns {Object|null} - { text, position }
+   */
+  parseBody(lines, start, end) {
+    let first = start;
+    let last = end - 1;
+
+    while (first <= last && lines[first].trim() === "") first++;
+    while (last >= first && lines[last].trim() === "") last--;
+
+    if (first > last) {
+      return null;
+    }
+
+    return {
+      text: lines.slice(first, last + 1).join("\n"),
+      position: { line: first + 1, column: 1 },
+    };
+  }
+
+  /**
+   * Parse git trailer style footers (values may span several lines)
+   * @param {string[]} lines - Message lines
+   * @param {number} start - Line index where footers start
+   * @returns {Array} - Footer nodes
+   */
+  parseFooters(lines, start) {
+    const footers = [];
+
+    for (let i = start; i < lines.length; i++) {
+      const match = lines[i].match(FOOTER_PATTERN);
+
+      if (match) {
+        const [, token, separator, value] = match;
+        footers.push({
+          token,
+          separator,
+          value,
+          position: { line: i + 1, column: 1 },
+        });
+      } else if (footers.length > 0) {
+        const footer = footers[footers.length - 1];
+        footer.value += "\n" + lines[i];
+      }
+    }
+
+    footers.forEach((footer) => {
+      footer.value = footer.value.trim();
+    });
+
+    return footers;
+  }
+
+  /**
+   * Check if a footer token marks a breaking change
+   * @param {string} token - Footer token
+   * @returns {boolean}
+   */
+  isBreakingToken(token) {
+    return BREAKING_TOKENS.includes(token);
+  }
+}
+
+/**
+ * Locate a header part for formats that don't report positions
+ * @param {string} line - Header line
+ * @param {string} text - Part to find
+ * @param {number} fallback - Index used when the part is not found verbatim
+ * @returns {Object} - { line, column }
+ */
+function findPosition(line, text, fallback = 0) {
+  const index = line.indexOf(text);
+  return { line: 1, column: (index === -1 ? fallback : index) + 1 };
+}
+
+module.exports = Parser;
@@ -0,0 +1,65 @@
+// src/core/release.js
+// Update version numbers in project files
+
+const path = require("path");
+
+/**
+ * Update the version in a file's content
+ * JSON files get their "version" key updated (and the root package entry of
+ * package-lock.json). In other files the first line holding only the version,
+ * or assigning it to a version key (`version = "1.0.0"`, `__version__ =
+ * '1.0.0'`, `version: 1.0.0`), is updated; other mentions are left alone.
+ * @param {string} content - File content
+ * @param {string} filename - File name, used to detect the format
+ * @param {string} currentVersion - Version being replaced
+ * @param {string} nextVersion - New version
+ * @returns {string} - Updated content
+ */
+function bumpFileContent(content, filename, currentVersion, nextVersion) {
+  if (path.extname(filename) === ".json") {
+    const data = JSON.parse(content);
+    const indent = detectIndent(content);
+
+    data.version = nextVersion;
+    if (data.packages && data.packages[""]) {
+      data.packages[""].version = nextVersion;
+    }
+
+    const trailing = content.endsWith("\n") ? "\n" : "";
+    return JSON.stringify(data, null, indent) + trailing;
+  }
+
+  if (content.trim() === "") {
+    return `${nextVersion}\n`;
+  }
+
+  const version = currentVersion.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const key = `\\s*["']?[\\w.-]*version[\\w.-]*["']?\\s*[:=]\\s*["']?v?`;
+  const field = new RegExp(
+    `^(?:(\\s*v?)${version}(?=\\s*$)|(${key})${version}(?![\\w.+-]))`,
+    "im"
+  );
+
+  if (!field.test(content)) {
+    throw new Error(`${filename} does not contain version ${currentVersion}`);
+  }
+
+  return content.replace(
+    field,
+    (match, line, assignment) => `${line ?? assignment}${nextVersion}`
+  );
+}
+
+/**
+ * Detect the indentation used in a JSON document
+ * @param {string} content - JSON text
+ * @returns {string|number}
+ */
+function detectIndent(content) {
+  const match = content.match(/^[ \t]+(?=")/m);
+  return match ? match[0] : 2;
+}
+
+module.exports = {
+  bumpFileContent,
+};
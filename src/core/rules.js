@@ -0,0 +1,527 @@
+// src/core/rules.js
+// Built-in validation rules and rule configuration helpers
+//
+// A rule is { id, description, level, when, value, validate }.
+// `validate(ast, when, value, context)` returns an array of messages, one per
+// violation. `level` ("off" | "warn" | "error"), `when` ("always" | "never")
+// and `value` are defaults that can be overridden in the `rules` config.
+
+const { findReferences } = require("./issues");
+const { emojiMatchesType, renderEmoji } = require("./emoji");
+const { globToRegExp } = require("../utils/helpers");
+
+const LEVELS = ["off", "warn", "error"];
+
+// Cases the case rules can check and apply
+const CASES = ["lowercase", "uppercase"];
+const CASE_RULES = ["type-case", "subject-case"];
+
+// Trailer-looking line ("Refs: #1", "Closes #2")
+const FOOTER_LIKE = /^(BREAKING CHANGE|BREAKING-CHANGE|[\w-]+)(: | #)/;
+
+/**
+ * Check whether a condition violates an always/never applicability
+ * @param {boolean} condition - Result of the rule's test
+ * @param {string} when - "always" | "never"
+ * @returns {boolean} - True if the rule is violated
+ */
+function violates(condition, when) {
+  return when === "never" ? condition : !condition;
+}
+
+/**
+ * Wrap a rule so it only runs when the header could be parsed
+ * @param {Function} validate - Rule implementation
+ * @returns {Function}
+ */
+function withHeader(validate) {
+  return (ast, when, value, context) =>
+    ast.header ? validate(ast, when, value, context) : [];
+}
+
+/**
+ * Check the case of the first letter of a string
+ * @param {string} text - Text to check
+ * @param {string} textCase - "lowercase" | "uppercase"
+ * @returns {boolean}
+ */
+function hasCase(text, textCase) {
+  const first = text.charAt(0);
+  return textCase === "uppercase"
+    ? first === first.toUpperCase()
+    : first === first.toLowerCase();
+}
+
+/**
+ * Change the case of the first letter of a string
+ * @param {string} text - Text to change
+ * @param {string} textCase - "lowercase" | "uppercase" | "none"
+ * @returns {string}
+ */
+function applyCase(text, textCase) {
+  if (textCase === "lowercase") {
+    return text.charAt(0).toLowerCase() + text.slice(1);
+  }
+  if (textCase === "uppercase") {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+  return text;
+}
+
+/**
+ * Check lines against a maximum length
+ * @param {string[]} lines - Lines to check
+ * @param {number} max - Maximum length
+ * @param {string} label - Label used in messages ("Body", "Footer")
+ * @returns {string[]}
+ */
+function checkLineLengths(lines, max, label) {
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    if (line.length > max) {
+      errors.push(
+        `${label} line ${index + 1} is too long (${
+          line.length
+        } chars). Maximum is ${max}`
+      );
+    }
+  });
+
+  return errors;
+}
+
+const builtinRules = [
+  {
+    id: "header-format",
+    description: "Header must match the configured header format",
+    level: "error",
+    when: "always",
+    value: null,
+    validate: (ast, when, value, context) => {
+      if (ast.header) return [];
+
+      const format = context.validator.parser.headerFormat;
+      return [`Header must follow format: ${format.example || format.name}`];
+    },
+  },
+  {
+    id: "header-max-length",
+    description: "Header must not be longer than the given length",
+    level: "error",
+    when: "always",
+    value: 100,
+    validate: withHeader(({ header }, when, value) =>
+      header.raw.length > value
+        ? [
+            `Header is too long (${header.raw.length} chars). Maximum is ${value}`,
+          ]
+        : []
+    ),
+  },
+  {
+    id: "type-enum",
+    description: "Type must be one of the configured types",
+    level: "error",
+    when: "always",
+    value: null, // defaults to the configured types
+    validate: withHeader(({ header }, when, value) =>
+      violates(value.includes(header.type), when)
+        ? [
+            when === "never"
+              ? `Type "${header.type}" is not allowed`
+              : `Invalid type "${header.type}". Must be one of: ${value.join(
+                  ", "
+                )}`,
+          ]
+        : []
+    ),
+  },
+  {
+    id: "type-case",
+    description: "Type must be in the given case",
+    level: "error",
+    when: "always",
+    value: "lowercase",
+    validate: withHeader(({ header }, when, value) => {
+      const expected =
+        value === "uppercase"
+          ? header.type.toUpperCase()
+          : header.type.toLowerCase();
+      return violates(header.type === expected, when)
+        ? [`Type must ${when === "never" ? "not " : ""}be ${value}`]
+        : [];
+    }),
+  },
+  {
+    id: "type-emoji",
+    description: "A leading emoji must be the emoji of the type",
+    level: "error",
+    when: "always",
+    value: null, // defaults to the configured types
+    validate: withHeader(({ header }, when, value) => {
+      if (!header.emoji) return [];
+      if (when === "never") {
+        return [`Header must not start with an emoji (${header.emoji})`];
+      }
+
+      const type = value.find((t) => t.value === header.type);
+      if (!type || emojiMatchesType(header.emoji, type)) return [];
+
+      const expected = renderEmoji(type, "unicode");
+      return [
+        expected
+          ? `Emoji ${header.emoji} does not match type "${header.type}" (expected ${expected})`
+          : `Type "${header.type}" has no emoji, remove ${header.emoji}`,
+      ];
+    }),
+  },
+  {
+    id: "breaking-type-enum",
+    description: "Breaking changes are only allowed for the given types",
+    level: "error",
+    when: "always",
+    value: null, // defaults to rules.allowBreakingChanges
+    validate: withHeader((ast, when, value) =>
+      ast.breaking && value && !value.includes(ast.header.type)
+        ? [
+            `Breaking changes are not allowed for type "${
+              ast.header.type
+            }". Allowed: ${value.join(", ") || "none"}`,
+          ]
+        : []
+    ),
+  },
+  {
+    id: "scope-enum",
+    description: "Scope must be one of the configured scopes",
+    level: "off",
+    when: "always",
+    value: null, // defaults to the configured scopes
+    validate: withHeader(({ header }, when, value) => {
+      if (!header.scope) return [];
+
+      const scopes = header.scope.split(",").map((s) => s.trim());
+      return scopes
+        .filter((scope) => violates(value.includes(scope), when))
+        .map((scope) =>
+          when === "never"
+            ? `Scope "${scope}" is not allowed`
+            : `Invalid scope "${scope}". Must be one of: ${value.join(", ")}`
+        );
+    }),
+  },
+  {
+    id: "scope-empty",
+    description: "Scope must (always) or must not (never) be empty",
+    level: "off",
+    when: "never",
+    value: null,
+    validate: withHeader(({ header }, when) =>
+      violates(!header.scope, when)
+        ? [when === "never" ? "Scope is required" : "Scope must be empty"]
+        : []
+    ),
+  },
+  {
+    id: "subject-max-length",
+    description: "Subject must not be longer than the given length",
+    level: "error",
+    when: "always",
+    value: 72,
+    validate: withHeader(({ header }, when, value) =>
+      header.subject.length > value
+        ? [
+            `Subject is too long (${header.subject.length} chars). Maximum is ${value}`,
+          ]
+        : []
+    ),
+  },
+  {
+    id: "subject-min-length",
+    description: "Subject must not be shorter than the given length",
+    level: "error",
+    when: "always",
+    value: 3,
+    validate: withHeader(({ header }, when, value) =>
+      header.subject.length < value
+        ? [
+            `Subject is too short (${header.subject.length} chars). Minimum is ${value}`,
+          ]
+        : []
+    ),
+  },
+  {
+    id: "subject-full-stop",
+    description: "Subject must (always) or must not (never) end with a period",
+    level: "error",
+    when: "never",
+    value: ".",
+    validate: withHeader(({ header }, when, value) =>
+      violates(header.subject.endsWith(value), when)
+        ? [
+            when === "never"
+              ? "Subject must not end with a period"
+              : "Subject must end with a period",
+          ]
+        : []
+    ),
+  },
+  {
+    id: "subject-case",
+    description: "Subject must start with the given case",
+    level: "error",
+    when: "always",
+    value: "lowercase",
+    validate: withHeader(({ header }, when, value) =>
+      violates(hasCase(header.subject, value), when)
+        ? [
+            `Subject must ${when === "never" ? "not " : ""}start with ${
+              value === "uppercase" ? "uppercase" : "lowercase"
+            } letter`,
+          ]
+        : []
+    ),
+  },
+  {
+    id: "subject-imperative",
+    description: "Subject must use the imperative mood",
+    level: "error",
+    when: "always",
+    value: null,
+    validate: withHeader(({ header }, when, value, context) =>
+      violates(context.validator.isImperative(header.subject), when)
+        ? [
+            'Subject must use imperative mood (e.g., "add" not "adds" or "added")',
+          ]
+        : []
+    ),
+  },
+  {
+    id: "body-leading-blank",
+    description: "Body must be separated from the header by a blank line",
+    level: "warn",
+    when: "always",
+    value: null,
+    validate: (ast, when) => {
+      if (ast.lines.length < 2 || (!ast.body && ast.footers.length === 0)) {
+        return [];
+      }
+      return violates(ast.lines[1].trim() === "", when)
+        ? [
+            when === "never"
+              ? "Body must not be separated from the header by a blank line"
+              : "Body must be separated from the header by a blank line",
+          ]
+        : [];
+    },
+  },
+  {
+    id: "footer-leading-blank",
+    description: "Footer must be separated from the body by a blank line",
+    level: "warn",
+    when: "always",
+    value: null,
+    validate: (ast, when) => {
+      if (!ast.body || when === "never") {
+        return [];
+      }
+      // Footers starting halfway through the last paragraph
+      if (ast.footers.length > 0) {
+        const start = ast.footers[0].position.line - 1;
+        return ast.lines[start - 1].trim() === ""
+          ? []
+          : ["Footer must be separated from the body by a blank line"];
+      }
+      // The header's paragraph holds no footers, so look for a trailer glued
+      // to the end of the body
+      const bodyLines = ast.body.text.split("\n");
+      const last = bodyLines[bodyLines.length - 1];
+      return bodyLines.length > 1 && FOOTER_LIKE.test(last)
+        ? ["Footer must be separated from the body by a blank line"]
+        : [];
+    },
+  },
+  {
+    id: "body-max-line-length",
+    description: "Body lines must not be longer than the given length",
+    level: "error",
+    when: "always",
+    value: 100,
+    validate: (ast, when, value) =>
+      ast.body
+        ? checkLineLengths(ast.body.text.split("\n"), value, "Body")
+        : [],
+  },
+  {
+    id: "footer-max-line-length",
+    description: "Footer lines must not be longer than the given length",
+    level: "error",
+    when: "always",
+    value: 100,
+    validate: (ast, when, value) => {
+      if (ast.footers.length === 0) return [];
+      const start = ast.footers[0].position.line - 1;
+      return checkLineLengths(ast.lines.slice(start), value, "Footer");
+    },
+  },
+  {
+    id: "references-empty",
+    description:
+      "Issue references must (never) or must not (always) be empty " +
+      "for the commits listed in issues.required",
+    level: "off",
+    when: "never",
+    value: null, // defaults to issues.required and issues.referenceFormats
+    validate: withHeader((ast, when, value, context) => {
+      const { types = [], branches = [], allow = [], formats } = value || {};
+      const { header } = ast;
+
+      if (allow.some((pattern) => new RegExp(pattern).test(header.raw))) {
+        return [];
+      }
+
+      const byType = types.includes(header.type);
+      const byBranch = Boolean(
+        context.branch &&
+          branches.some((glob) => globToRegExp(glob).test(context.branch))
+      );
+      if (types.length + branches.length > 0 && !byType && !byBranch) {
+        return [];
+      }
+
+      const references = findReferences(ast, formats);
+      if (!violates(references.length === 0, when)) {
+        return [];
+      }
+      return [
+        when === "never"
+          ? "Commit must reference an issue (e.g. Refs #123 or PROJ-123)"
+          : `Commit must not reference issues (${references.join(", ")})`,
+      ];
+    }),
+  },
+];
+
+// `rules` keys from before rule ids, read by fromLegacyConfig
+const LEGACY_KEYS = [
+  "maxSubjectLength",
+  "minSubjectLength",
+  "maxLineLength",
+  "allowBreakingChanges",
+  "enforceImperative",
+  "subjectCase",
+];
+
+/**
+ * Translate the legacy `rules` keys and the scope policy into rule settings
+ * @param {Object} config - Rules config plus allowCustomScopes/allowEmptyScopes
+ * @returns {Object} - { ruleId: { value } | { level } }
+ */
+function fromLegacyConfig(config) {
+  const settings = {};
+  const set = (id, setting) => {
+    settings[id] = { ...settings[id], ...setting };
+  };
+
+  if (config.maxSubjectLength !== undefined) {
+    set("subject-max-length", { value: config.maxSubjectLength });
+  }
+  if (config.minSubjectLength !== undefined) {
+    set("subject-min-length", { value: config.minSubjectLength });
+  }
+  if (config.maxLineLength !== undefined) {
+    set("body-max-line-length", { value: config.maxLineLength });
+    set("footer-max-line-length", { value: config.maxLineLength });
+  }
+  if (config.allowBreakingChanges !== undefined) {
+    set("breaking-type-enum", { value: config.allowBreakingChanges });
+  }
+  if (config.allowCustomScopes === false) {
+    set("scope-enum", { level: "error" });
+  }
+  if (config.allowEmptyScopes === false) {
+    set("scope-empty", { level: "error", when: "never" });
+  }
+  if (config.enforceImperative === false) {
+    set("subject-imperative", { level: "off" });
+  }
+  if (config.subjectCase === "none") {
+    set("subject-case", { level: "off" });
+  } else if (config.subjectCase) {
+    if (!CASES.includes(config.subjectCase)) {
+      throw new Error(
+        `Invalid subjectCase "${config.subjectCase}". Must be one of: ${[
+          ...CASES,
+          "none",
+        ].join(", ")}`
+      );
+    }
+    set("subject-case", { value: config.subjectCase });
+  }
+
+  return settings;
+}
+
+/**
+ * Normalize a rule setting from config
+ * Accepts "warn", 2, ["error", "always", 72] or { level, when, value }.
+ * @param {string} id - Rule id (for error messages)
+ * @param {*} setting - Setting from config
+ * @returns {Object} - { level?, when?, value? }
+ */
+function normalizeSetting(id, setting) {
+  let normalized;
+
+  if (Array.isArray(setting)) {
+    const [level, when, value] = setting;
+    normalized = { level, when };
+    if (setting.length > 2) normalized.value = value;
+  } else if (setting !== null && typeof setting === "object") {
+    normalized = { ...setting };
+  } else {
+    normalized = { level: setting };
+  }
+
+  if (typeof normalized.level === "number") {
+    normalized.level = LEVELS[normalized.level];
+  }
+  if (normalized.level !== undefined && !LEVELS.includes(normalized.level)) {
+    throw new Error(
+      `Invalid level for rule "${id}". Must be one of: ${LEVELS.join(", ")}`
+    );
+  }
+  if (
+    normalized.when !== undefined &&
+    !["always", "never"].includes(normalized.when)
+  ) {
+    throw new Error(
+      `Invalid applicability for rule "${id}". Must be always or never`
+    );
+  }
+
+  if (
+    CASE_RULES.includes(id) &&
+    normalized.value !== undefined &&
+    !CASES.includes(normalized.value)
+  ) {
+    throw new Error(
+      `Invalid case for rule "${id}". Must be one of: ${CASES.join(", ")}`
+    );
+  }
+
+  Object.keys(normalized).forEach((key) => {
+    if (normalized[key] === undefined) delete normalized[key];
+  });
+
+  return normalized;
+}
+
+module.exports = {
+  builtinRules,
+  applyCase,
+  fromLegacyConfig,
+  LEGACY_KEYS,
+  normalizeSetting,
+  LEVELS,
+};
@@ -0,0 +1,116 @@
+// src/core/scopes.js
+// Map changed files to scopes with CODEOWNERS-style patterns
+
+const { globToRegExp } = require("../utils/helpers");
+const { groupFilesByPackage } = require("../utils/workspaces");
+
+/**
+ * Compile a CODEOWNERS-style pattern into a file matcher
+ *
+ * - "/docs/" or "src/api/" (a slash before the end) is anchored to the root
+ * - "*.md" or "config/" (no other slash) matches at any depth
+ * - a trailing "/" only matches directories, otherwise a pattern matches a
+ *   file or everything inside a directory of that name
+ *
+ * @param {string} pattern - Pattern from the scope mapping
+ * @returns {Function} - (file) => boolean
+ */
+function compileScopePattern(pattern) {
+  const dirOnly = pattern.endsWith("/");
+  const trimmed = pattern.replace(/^\//, "").replace(/\/$/, "");
+  const glob = isAnchored(pattern) ? trimmed : `**/${trimmed}`;
+
+  const inside = globToRegExp(`${glob}/**`);
+  const exact = dirOnly ? null : globToRegExp(glob);
+
+  return (file) => inside.test(file) || Boolean(exact && exact.test(file));
+}
+
+/**
+ * Check whether a pattern is anchored to the repository root
+ * @param {string} pattern - Pattern from the scope mapping
+ * @returns {boolean}
+ */
+function isAnchored(pattern) {
+  return pattern.startsWith("/") || pattern.slice(0, -1).includes("/");
+}
+
+/**
+ * Find the mapping entry for a file (the last matching entry wins)
+ * @param {string} file - File path relative to the repository root
+ * @param {Array} mapping - [{ pattern, scope }]
+ * @param {Object} options - { anchoredOnly } to skip patterns matching at
+ *   any depth
+ * @returns {Object|null} - { scope, pattern, index }
+ */
+function matchScope(file, mapping = [], options = {}) {
+  for (let index = mapping.length - 1; index >= 0; index--) {
+    const { pattern, scope } = mapping[index];
+    if (options.anchoredOnly && !isAnchored(pattern)) continue;
+    if (compileScopePattern(pattern)(file)) {
+      return { scope, pattern, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the scope of every file and score scopes by changed lines
+ * Inside a monorepo package, only entries anchored to the root take
+ * precedence over the package; patterns matching at any depth ("README*",
+ * "package.json") apply to files outside packages.
+ * @param {string[]} files - Changed files
+ * @param {Object} options - { mapping, packages, weights } where weights maps
+ *   a file to its number of changed lines (defaults to 1)
+ * @returns {Object} - { files: [{ file, weight, scope, source, rule }],
+ *   scores: [{ scope, weight, files, sources }] } with scores sorted by weight
+ */
+function explainScopes(files, options = {}) {
+  const { mapping = [], packages = [], weights = {} } = options;
+
+  const resolved = files.map((file) => {
+    const weight = Math.max(weights[file] || 0, 1);
+    const [owner] = groupFilesByPackage([file], packages);
+    const rule = matchScope(file, mapping, { anchoredOnly: Boolean(owner) });
+    if (rule) {
+      return { file, weight, scope: rule.scope, source: "mapping", rule };
+    }
+
+    if (owner) {
+      return {
+        file,
+        weight,
+        scope: owner.scope,
+        source: "package",
+        rule: null,
+        package: owner.name,
+      };
+    }
+
+    return { file, weight, scope: null, source: null, rule: null };
+  });
+
+  const scores = new Map();
+  resolved
+    .filter((entry) => entry.scope)
+    .forEach(({ file, weight, scope, source }) => {
+      if (!scores.has(scope)) {
+        scores.set(scope, { scope, weight: 0, files: [], sources: new Set() });
+      }
+      const score = scores.get(scope);
+      score.weight += weight;
+      score.files.push(file);
+      score.sources.add(source);
+    });
+
+  return {
+    files: resolved,
+    scores: [...scores.values()].sort((a, b) => b.weight - a.weight),
+  };
+}
+
+module.exports = {
+  compileScopePattern,
+  matchScope,
+  explainScopes,
+};
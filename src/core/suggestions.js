@@ -0,0 +1,346 @@
+// src/core/suggestions.js
+// Ask a language model for commit message suggestions
+//
+// A provider turns a request into candidate messages:
+//
+//   { name, suggest({ diff, files, messages, types, scopes, count }) }
+//
+// "openai" talks to any OpenAI-compatible chat completions endpoint (a hosted
+// API or a model served on localhost); plugins can add providers under
+// "suggestionProviders". Diffs are filtered, truncated and redacted before
+// they leave the machine, and every candidate is re-validated.
+
+const http = require("http");
+const https = require("https");
+const { compileScopePattern } = require("./scopes");
+
+// Secrets replaced before a diff is sent anywhere
+const SECRET_PATTERNS = [
+  [
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+    "[REDACTED PRIVATE KEY]",
+  ],
+  [/\bAKIA[0-9A-Z]{16}\b/g, "[REDACTED]"],
+  [/\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, "[REDACTED]"],
+  [/\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g, "[REDACTED]"],
+  [/\bsk-[A-Za-z0-9_-]{20,}\b/g, "[REDACTED]"],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[REDACTED]"],
+  [/(\bbearer\s+)[\w.~+/-]+=*/gi, "$1[REDACTED]"],
+  [/(\/\/[^/\s:@]+:)[^@\s/]+@/g, "$1[REDACTED]@"],
+  [
+    /((?:api[_-]?key|secret|token|passw(?:or)?d|private[_-]?key|access[_-]?key)\w*["']?\s*[:=]\s*["']?)[^\s"',;]+/gi,
+    "$1[REDACTED]",
+  ],
+];
+
+class SuggestionError extends Error {
+  /**
+   * @param {string} provider - Provider name
+   * @param {string} message - What went wrong
+   */
+  constructor(provider, message) {
+    super(`Suggestion provider "${provider}": ${message}`);
+    this.name = "SuggestionError";
+    this.provider = provider;
+  }
+}
+
+/**
+ * Create the provider selected in the "suggestions" settings
+ * @param {Object} settings - The config's "suggestions" value
+ * @param {Object} registry - Plugin registry
+ * @returns {Object|null} - Provider, or null when none is configured
+ */
+function getProvider(settings = {}, registry = {}) {
+  const name = settings.provider;
+  if (!name) {
+    return null;
+  }
+
+  const plugins = registry.suggestionProviders || {};
+  if (plugins[name]) {
+    return { name, ...plugins[name] };
+  }
+  if (name === "openai") {
+    return createOpenAIProvider(settings);
+  }
+
+  const available = ["openai", ...Object.keys(plugins)].join(", ");
+  throw new SuggestionError(name, `unknown provider. Available: ${available}`);
+}
+
+/**
+ * Provider for OpenAI-compatible chat completions endpoints
+ * @param {Object} settings - { endpoint, model, apiKeyEnv, timeout }
+ * @returns {Object} - Provider
+ */
+function createOpenAIProvider(settings = {}) {
+  const { endpoint, model, apiKeyEnv, timeout } = settings;
+
+  return {
+    name: "openai",
+    async suggest(request) {
+      const headers = {};
+      const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : null;
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      let response;
+      try {
+        response = await requestJson(
+          endpoint,
+          { model, messages: request.messages, temperature: 0.2 },
+          { headers, timeout }
+        );
+      } catch (error) {
+        throw new SuggestionError("openai", error.message);
+      }
+
+      const choices = (response && response.choices) || [];
+      return choices.flatMap((choice) =>
+        parseCandidates(choice.message ? choice.message.content : choice.text)
+      );
+    },
+  };
+}
+
+/**
+ * Get validated message suggestions for a staged diff
+ * @param {Object} provider - Provider from getProvider
+ * @param {string} diff - Staged diff
+ * @param {Object} options - { settings, validator, files, branch, types,
+ *   scopes } where files and branch are the context candidates are
+ *   validated in
+ * @returns {Promise<Object>} - { candidates: [{ message, warnings }],
+ *   rejected: [{ message, errors }], excluded, truncated }
+ */
+async function suggestMessages(provider, diff, options = {}) {
+  const { settings = {}, validator, files = [], branch = null } = options;
+  const { types = [], scopes = [] } = options;
+  const prepared = prepareDiff(diff, settings);
+  const count = settings.count || 3;
+
+  // Providers see the same files as the diff they get, whether they build
+  // their own prompt or use ours
+  const patterns = (settings.exclude || []).map(compileScopePattern);
+  const sent = files.filter(
+    (file) =>
+      !prepared.excluded.includes(file) && !patterns.some((test) => test(file))
+  );
+
+  const messages = buildPrompt({
+    diff: prepared.diff,
+    files: sent,
+    types,
+    scopes,
+    count,
+    example: validator.parser.headerFormat.example,
+    maxLength: validator.getRuleSettings().get("subject-max-length").value,
+  });
+
+  const suggested = await provider.suggest({
+    diff: prepared.diff,
+    files: sent,
+    messages,
+    types,
+    scopes,
+    count,
+  });
+
+  const candidates = [];
+  const rejected = [];
+  [...new Set(suggested || [])].forEach((message) => {
+    const result = validator.validate(message, { files, branch });
+    if (result.valid) {
+      candidates.push({ message, warnings: result.warnings });
+    } else {
+      rejected.push({ message, errors: result.errors });
+    }
+  });
+
+  return {
+    candidates: candidates.slice(0, count),
+    rejected,
+    excluded: prepared.excluded,
+    truncated: prepared.truncated,
+  };
+}
+
+/**
+ * Drop excluded files, truncate and redact a diff before sending it
+ * @param {string} diff - Unified diff
+ * @param {Object} settings - { exclude, maxDiffSize }
+ * @returns {Object} - { diff, excluded, truncated }
+ */
+function prepareDiff(diff = "", settings = {}) {
+  const { exclude = [], maxDiffSize = 12000 } = settings;
+  const patterns = exclude.map(compileScopePattern);
+  const excluded = [];
+
+  const kept = diff
+    .split(/^(?=diff --git )/m)
+    .filter((chunk) => {
+      const match = chunk.match(/^diff --git a\/(.+) b\/(.+)$/m);
+      if (!match) return chunk.trim() !== "";
+
+      const skip = patterns.some((test) => test(match[1]) || test(match[2]));
+      if (skip) excluded.push(match[2]);
+      return !skip;
+    })
+    .join("");
+
+  let text = redactSecrets(kept);
+  const truncated = text.length > maxDiffSize;
+  if (truncated) {
+    const cut = text.lastIndexOf("\n", maxDiffSize);
+    text = `${text.slice(0, cut > 0 ? cut : maxDiffSize)}\n[diff truncated]\n`;
+  }
+
+  return { diff: text, excluded, truncated };
+}
+
+/**
+ * Replace secrets (keys, tokens, passwords) in text
+ * @param {string} text - Text to redact
+ * @returns {string}
+ */
+function redactSecrets(text) {
+  return SECRET_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Build the chat messages sent to the model
+ * @param {Object} request - { diff, files, types, scopes, count, example,
+ *   maxLength }
+ * @returns {Array} - [{ role, content }]
+ */
+function buildPrompt(request) {
+  const { diff, files, types, scopes, count, example, maxLength } = request;
+
+  const instructions = [
+    `Write ${count} alternative commit messages for the staged changes below.`,
+    `Header format: ${example}`,
+    `Allowed types: ${types.join(", ")}`,
+    scopes.length > 0 ? `Known scopes: ${scopes.join(", ")}` : null,
+    `Keep the subject under ${maxLength} characters, in the imperative ` +
+      "mood and without a trailing period.",
+    "Add a body only when the change needs explaining.",
+    "Separate the messages with a line containing only ---, " +
+      "and output nothing else.",
+    "",
+    "Staged files:",
+    ...files,
+    "",
+    "Diff:",
+    diff,
+  ];
+
+  return [
+    {
+      role: "system",
+      content:
+        "You write git commit messages following the Conventional Commits " +
+        "specification.",
+    },
+    {
+      role: "user",
+      content: instructions.filter((line) => line !== null).join("\n"),
+    },
+  ];
+}
+
+/**
+ * Split a model reply into candidate messages
+ * @param {string} text - Reply content
+ * @returns {string[]}
+ */
+function parseCandidates(text = "") {
+  return String(text || "")
+    .replace(/^```\w*\s*$/gm, "")
+    .split(/^\s*-{3,}\s*$/m)
+    .map((candidate) =>
+      candidate
+        .trim()
+        .replace(/^(?:\d+[.)]|[-*])\s+/, "")
+        .replace(/^["'`]+|["'`]+$/g, "")
+        .trim()
+    )
+    .filter(Boolean);
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request body
+ * @param {Object} options - { headers, timeout } (timeout in ms)
+ * @returns {Promise<Object>}
+ */
+function requestJson(url, body, options = {}) {
+  const { headers = {}, timeout = 15000 } = options;
+
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      reject(new Error(`invalid endpoint "${url}"`));
+      return;
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const payload = JSON.stringify(body);
+
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (response) => {
+        let data = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () => {
+          clearTimeout(timer);
+          if (response.statusCode >= 400) {
+            reject(new Error(`HTTP ${response.statusCode} from ${url}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`invalid JSON response from ${url}`));
+          }
+        });
+      }
+    );
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`no response within ${timeout}ms`));
+    }, timeout);
+
+    request.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(payload);
+  });
+}
+
+module.exports = {
+  getProvider,
+  createOpenAIProvider,
+  suggestMessages,
+  prepareDiff,
+  redactSecrets,
+  parseCandidates,
+  SuggestionError,
+};
@@ -0,0 +1,334 @@
+// src/core/summary.js
+// Propose a subject line from the staged diff, offline and deterministically
+
+const path = require("path");
+const { getChangedLines } = require("./diff");
+const { getExportedSymbols, isTestFile } = require("./inference");
+
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/;
+const LOCK_FILE = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/;
+const CONFIG_FILE =
+  /\.(json|ya?ml|toml|ini)$|(^|\/)\.[\w-]+rc(\.\w+)?$|\.config\.[cm]?[jt]s$|(^|\/)\.env(\.\w+)?$/;
+
+// Top-level function foo(), class Foo, const foo = () => ...
+const DECLARATIONS = [
+  /^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\*?\s+([\w$]+)/,
+  /^(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([\w$]+)/,
+  /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+];
+
+// Class methods; only public ones (no _private, #private or constructor)
+// are worth naming in a subject
+const METHOD =
+  /^\s+(?:static\s+)?(?:async\s+)?(?!(?:if|for|while|switch|catch|function|return)\b)([\w$]+)\s*\(.*\)\s*\{\s*$/;
+const NON_PUBLIC_METHOD = /^(_|constructor$)/;
+
+const SIGNATURE_START = /^\s*(?:static\s+)?(?:async\s+)?([\w$]+)\s*\(/;
+
+// "chalk": "^4.1.2" inside a dependency block
+const DEPENDENCY_LINE =
+  /^\s*"([^"]+)":\s*"((?:[~^<>=*]|\d|workspace:|npm:)[^"]*)",?\s*$/;
+const NON_DEPENDENCY_KEYS = ["name", "version", "description", "main"];
+
+// "key": ..., key: ..., key = ...
+const CONFIG_KEY = /^\s*"?([\w.-]+)"?\s*[:=]/;
+
+/**
+ * Collect what changed in a staged diff
+ * @param {Array} files - Files from parseDiff
+ * @returns {Object} - { symbols: { added, removed, renamed }, files: { renamed },
+ *   dependencies: { added, removed, updated }, config: [{ file, keys }] }
+ */
+function describeChanges(files) {
+  const changes = {
+    symbols: { added: [], removed: [], renamed: [] },
+    files: { renamed: [] },
+    dependencies: { added: [], removed: [], updated: [] },
+    config: [],
+  };
+
+  files.forEach((file) => {
+    if (file.status === "renamed") {
+      changes.files.renamed.push({ from: file.oldFile, to: file.file });
+    }
+
+    if (isTestFile(file.file)) {
+      return;
+    }
+    if (SOURCE_FILE.test(file.file) && !CONFIG_FILE.test(file.file)) {
+      collectSymbols(file, changes.symbols);
+    } else if (path.basename(file.file) === "package.json") {
+      const keys = collectDependencies(file, changes.dependencies);
+      if (keys.length > 0) changes.config.push({ file: file.file, keys });
+    } else if (CONFIG_FILE.test(file.file) && !LOCK_FILE.test(file.file)) {
+      const keys = getConfigKeys([
+        ...getChangedLines(file, "+"),
+        ...getChangedLines(file, "-"),
+      ]);
+      if (keys.length > 0) changes.config.push({ file: file.file, keys });
+    }
+  });
+
+  changes.symbols.added = [...new Set(changes.symbols.added)];
+  changes.symbols.removed = [...new Set(changes.symbols.removed)];
+  return changes;
+}
+
+/**
+ * Propose a subject line for a staged diff
+ * @param {Array} files - Files from parseDiff
+ * @param {Object} options - { maxLength }
+ * @returns {string|null} - Subject, or null when nothing stands out
+ */
+function summarizeDiff(files, options = {}) {
+  const { maxLength = 72 } = options;
+  const changes = describeChanges(files);
+
+  // Each phrase lists its variants from most to least detailed
+  const phrases = [
+    listPhrase("add", changes.symbols.added),
+    listPhrase("remove", changes.symbols.removed),
+    renamePhrase(changes.symbols.renamed),
+    renamePhrase(
+      changes.files.renamed.map(({ from, to }) => ({
+        from: path.basename(from),
+        to: path.basename(to),
+      }))
+    ),
+    dependencyPhrase(changes.dependencies),
+    configPhrase(changes.config),
+  ].filter(Boolean);
+
+  if (phrases.length === 0) {
+    return null;
+  }
+
+  const fit = (variants) => variants.find((text) => text.length <= maxLength);
+
+  const first = fit(phrases[0]);
+  if (!first) {
+    return null;
+  }
+  if (phrases.length > 1) {
+    const both = fit(phrases[1].map((second) => `${first}, ${second}`));
+    if (both) return both;
+  }
+  return first;
+}
+
+/**
+ * Compare the symbols declared in added and removed lines of a file
+ * @param {Object} file - Parsed file
+ * @param {Object} symbols - { added, removed, renamed } to fill
+ */
+function collectSymbols(file, symbols) {
+  // Top-level declarations only count when the visible side of the file
+  // exports them; helpers stay out of the subject
+  const declared = (type) => {
+    const exported = new Set(getExportedSymbols(visibleSide(file, type), type));
+    const names = new Set(getExportedSymbols(file, type));
+    getChangedLines(file, type).forEach((line) => {
+      DECLARATIONS.forEach((pattern) => {
+        const match = line.match(pattern);
+        if (match && exported.has(match[1])) names.add(match[1]);
+      });
+      const method = line.match(METHOD);
+      if (method && !NON_PUBLIC_METHOD.test(method[1])) names.add(method[1]);
+    });
+    names.delete("default");
+    return names;
+  };
+
+  // Names opening a line on the other side, e.g. a signature split over
+  // several lines, mean the symbol is still there
+  const opened = (type) =>
+    new Set(
+      getChangedLines(file, type)
+        .map((line) => line.match(SIGNATURE_START))
+        .filter(Boolean)
+        .map((match) => match[1])
+    );
+
+  const before = declared("-");
+  const after = declared("+");
+  const stillBefore = opened("-");
+  const stillAfter = opened("+");
+  const added = [...after].filter(
+    (name) => !before.has(name) && !stillBefore.has(name)
+  );
+  const removed = [...before].filter(
+    (name) => !after.has(name) && !stillAfter.has(name)
+  );
+
+  // One symbol out and one in within the same file reads as a rename
+  if (added.length === 1 && removed.length === 1) {
+    symbols.renamed.push({ from: removed[0], to: added[0] });
+    return;
+  }
+  symbols.added.push(...added);
+  symbols.removed.push(...removed);
+}
+
+/**
+ * View one side of a file, context lines included, as its changed lines
+ * @param {Object} file - Parsed file
+ * @param {string} type - "+" for the new side, "-" for the old side
+ * @returns {Object} - File whose lines of that side all have the given type
+ */
+function visibleSide(file, type) {
+  return {
+    ...file,
+    hunks: file.hunks.map((hunk) => ({
+      ...hunk,
+      lines: hunk.lines
+        .filter((line) => line.type === type || line.type === " ")
+        .map((line) => ({ ...line, type })),
+    })),
+  };
+}
+
+/**
+ * Compare dependency versions in package.json
+ * @param {Object} file - Parsed package.json
+ * @param {Object} dependencies - { added, removed, updated } to fill
+ * @returns {string[]} - Other keys that changed
+ */
+function collectDependencies(file, dependencies) {
+  const read = (type) => {
+    const versions = new Map();
+    const other = [];
+    getChangedLines(file, type).forEach((line) => {
+      const match = line.match(DEPENDENCY_LINE);
+      if (match && !NON_DEPENDENCY_KEYS.includes(match[1])) {
+        versions.set(match[1], match[2]);
+      } else {
+        other.push(line);
+      }
+    });
+    return { versions, other };
+  };
+
+  const before = read("-");
+  const after = read("+");
+
+  after.versions.forEach((version, name) => {
+    if (!before.versions.has(name)) {
+      dependencies.added.push({ name, version });
+    } else if (before.versions.get(name) !== version) {
+      dependencies.updated.push({ name, version });
+    }
+  });
+  before.versions.forEach((version, name) => {
+    if (!after.versions.has(name)) {
+      dependencies.removed.push({ name, version });
+    }
+  });
+
+  return getConfigKeys([...after.other, ...before.other]);
+}
+
+/**
+ * List the keys set on changed config lines
+ * @param {string[]} lines - Changed lines
+ * @returns {string[]}
+ */
+function getConfigKeys(lines) {
+  const keys = new Set();
+  lines.forEach((line) => {
+    const match = line.match(CONFIG_KEY);
+    if (match && !line.trim().startsWith("#")) keys.add(match[1]);
+  });
+  return [...keys];
+}
+
+/**
+ * Join names: "a", "a and b", "a, b and c"
+ * @param {string[]} names - Names to join
+ * @returns {string}
+ */
+function joinNames(names) {
+  if (names.length <= 1) return names.join("");
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Variants of "<verb> a, b and c", shortening the list step by step
+ * @param {string} verb - Leading verb
+ * @param {string[]} names - Names to list
+ * @returns {string[]|null}
+ */
+function listPhrase(verb, names) {
+  if (names.length === 0) return null;
+
+  const variants = [`${verb} ${joinNames(names)}`];
+  for (let shown = names.length - 1; shown >= 1; shown--) {
+    const rest = names.length - shown;
+    variants.push(
+      `${verb} ${names.slice(0, shown).join(", ")} and ${rest} more`
+    );
+  }
+  return variants;
+}
+
+/**
+ * Variants of "rename a to b"
+ * @param {Array} renames - [{ from, to }]
+ * @returns {string[]|null}
+ */
+function renamePhrase(renames) {
+  if (renames.length === 0) return null;
+  if (renames.length === 1) {
+    const [{ from, to }] = renames;
+    return [`rename ${from} to ${to}`, `rename ${to}`];
+  }
+  return listPhrase(
+    "rename",
+    renames.map(({ to }) => to)
+  );
+}
+
+/**
+ * Variants describing dependency changes
+ * @param {Object} dependencies - { added, removed, updated }
+ * @returns {string[]|null}
+ */
+function dependencyPhrase({ added, removed, updated }) {
+  const names = (list) => list.map((dep) => dep.name);
+
+  if (updated.length === 1 && added.length === 0 && removed.length === 0) {
+    const [{ name, version }] = updated;
+    return [`bump ${name} to ${version.replace(/^[~^]/, "")}`, `bump ${name}`];
+  }
+  if (updated.length > 0) {
+    return listPhrase("bump", names(updated));
+  }
+  if (added.length > 0) {
+    return listPhrase("add", names(added));
+  }
+  if (removed.length > 0) {
+    return listPhrase("remove", names(removed));
+  }
+  return null;
+}
+
+/**
+ * Variants describing config key changes
+ * @param {Array} config - [{ file, keys }]
+ * @returns {string[]|null}
+ */
+function configPhrase(config) {
+  if (config.length === 0) return null;
+
+  const keys = [...new Set(config.flatMap((entry) => entry.keys))];
+  const where =
+    config.length === 1 ? ` in ${path.basename(config[0].file)}` : " config";
+  return [
+    ...listPhrase("update", keys).map((text) => `${text}${where}`),
+    config.length === 1 ? `update ${path.basename(config[0].file)}` : null,
+  ].filter(Boolean);
+}
+
+module.exports = {
+  describeChanges,
+  summarizeDiff,
+};
@@ -2,81 +2,173 @@
 // Validate commit messages against conventional commit rules
 
 const defaults = require("../config/defaults");
+const Parser = require("./parser");
+
+const {
+  builtinRules,
+  fromLegacyConfig,
+  LEGACY_KEYS,
+  normalizeSetting,
+} = require("./rules");
 
 class Validator {
-  constructor(config = {}) {
+  /**
+   * @param {Object} config - Rules config
+   * @param {Object} context - { config, plugins, headerFormat } where
+   *   `config` is the full config providing types, scopes and scope policy
+   */
+  constructor(config = {}, context = {}) {
+    const settings = { ...defaults, ...context.config };
+    const plugins = context.plugins || { rules: [], types: [] };
+
     this.config = { ...defaults.rules, ...config };
-    this.validTypes = defaults.types.map((t) => t.value);
+    this.types = [...settings.types, ...plugins.types].filter(
+      (type, index, types) =>
+        types.findIndex((t) => t.value === type.value) === index
+    );
+    this.validTypes = this.types.map((t) => t.value);
+    this.validScopes = settings.scopes;
+    this.issues = { ...defaults.issues, ...settings.issues };
+    this.scopePolicy = {
+      allowCustomScopes: settings.allowCustomScopes,
+      allowEmptyScopes: settings.allowEmptyScopes,
+    };
+    this.parser = new Parser({
+      headerFormat: context.headerFormat,
+      types: this.types,
+    });
+    this.rules = new Map(builtinRules.map((rule) => [rule.id, rule]));
+    this.settings = null;
+
+    plugins.rules.forEach((rule) => this.registerRule(rule));
+
+    // Report unknown rules and bad settings when the config is loaded rather
+    // than on the first lint, which may be halfway through the prompts
+    this.getRuleSettings();
   }
 
   /**
-   * Validate a complete commit message
-   * @param {string} message - The commit message
-   * @returns {Object} - { valid: boolean, errors: string[] }
+   * Register a rule (replaces a rule with the same id)
+   * @param {Object} rule - { id, level, when, value, validate }
    */
-  validate(message) {
-    const errors = [];
+  registerRule(rule) {
+    this.rules.set(rule.id, { level: "error", when: "always", ...rule });
+    this.settings = null;
+  }
 
-    if (!message || message.trim().length === 0) {
-      errors.push("Commit message cannot be empty");
-      return { valid: false, errors };
+  /**
+   * Resolve the level, applicability and value of every rule
+   * Rule ids in the config override the legacy keys (maxSubjectLength, ...).
+   * @returns {Map} - ruleId → { level, when, value }
+   */
+  getRuleSettings() {
+    if (this.settings) {
+      return this.settings;
     }
 
-    const lines = message.split("\n");
-    const headerLine = lines[0];
-
-    // Validate header format
-    const headerErrors = this.validateHeader(headerLine);
-    errors.push(...headerErrors);
+    const overrides = fromLegacyConfig({ ...this.scopePolicy, ...this.config });
+
+    Object.keys(this.config)
+      .filter((key) => !LEGACY_KEYS.includes(key))
+      .forEach((id) => {
+        if (!this.rules.has(id)) {
+          throw new Error(`Unknown rule "${id}" in config`);
+        }
+        overrides[id] = {
+          ...overrides[id],
+          ...normalizeSetting(id, this.config[id]),
+        };
+      });
+
+    const defaultValues = {
+      "type-enum": this.validTypes,
+      "scope-enum": this.validScopes,
+      "type-emoji": this.types,
+      "references-empty": {
+        ...this.issues.required,
+        formats: this.issues.referenceFormats,
+      },
+    };
 
-    // Validate body lines
-    if (lines.length > 2) {
-      const bodyErrors = this.validateBody(lines.slice(2));
-      errors.push(...bodyErrors);
-    }
+    this.settings = new Map();
+    this.rules.forEach((rule, id) => {
+      const setting = {
+        level: rule.level,
+        when: rule.when,
+        value: rule.value,
+        ...overrides[id],
+      };
+      if (setting.value === null || setting.value === undefined) {
+        setting.value = defaultValues[id] ?? null;
+      }
+      this.settings.set(id, setting);
+    });
 
-    return {
-      valid: errors.length === 0,
-      errors,
-    };
+    return this.settings;
   }
 
   /**
-   * Validate the header line (type, scope, subject)
-   * @param {string} header - First line of commit
-   * @returns {string[]} - Array of error messages
+   * Run the enabled rules against a commit AST
+   * @param {Object} ast - Commit AST from the parser
+   * @param {Function} filter - Optional rule id filter
+   * @param {Object} context - Extra context for rules (e.g. staged `files`)
+   * @returns {Array} - Problems: { rule, level, message }
    */
-  validateHeader(header) {
-    const errors = [];
-
-    // Check format: type(scope): subject
-    const conventionalPattern = /^(\w+)(\([\w-]+\))?:\s*(.+)$/;
-    const match = header.match(conventionalPattern);
+  lint(ast, filter = () => true, context = {}) {
+    const problems = [];
+    const ruleContext = { ...context, validator: this };
+
+    this.getRuleSettings().forEach(({ level, when, value }, id) => {
+      if (level === "off" || !filter(id)) return;
+
+      let messages;
+      try {
+        messages = this.rules.get(id).validate(ast, when, value, ruleContext);
+      } catch (error) {
+        throw new Error(`Rule "${id}" failed: ${error.message}`);
+      }
 
-    if (!match) {
-      errors.push("Header must follow format: type(scope): subject");
-      return errors;
-    }
+      // Plugin rules may return a single message or nothing
+      [].concat(messages || []).forEach((message) => {
+        problems.push({ rule: id, level, message });
+      });
+    });
 
-    const [, type, scope, subject] = match;
+    return problems;
+  }
 
-    // Validate type
-    if (!this.validTypes.includes(type)) {
-      errors.push(
-        `Invalid type "${type}". Must be one of: ${this.validTypes.join(", ")}`
-      );
+  /**
+   * Validate a complete commit message
+   * Warnings are reported but do not make the message invalid.
+   * @param {string} message - The commit message
+   * @param {Object} context - Extra context for rules (e.g. staged `files`)
+   * @returns {Object} - { valid, errors, warnings, problems }
+   */
+  validate(message, context = {}) {
+    if (!message || message.trim().length === 0) {
+      const problem = {
+        rule: "header-format",
+        level: "error",
+        message: "Commit message cannot be empty",
+      };
+      return toResult([problem]);
     }
 
-    // Validate type case
-    if (type !== type.toLowerCase()) {
-      errors.push("Type must be lowercase");
-    }
+    return toResult(this.lint(this.parseCommit(message), undefined, context));
+  }
 
-    // Validate subject
-    const subjectErrors = this.validateSubject(subject);
-    errors.push(...subjectErrors);
+  /**
+   * Validate the header line (type, scope, subject)
+   * @param {string} header - First line of commit
+   * @returns {string[]} - Array of error messages
+   */
+  validateHeader(header) {
+    const ast = this.parser.parse(header);
+    const headerRules = ["header", "type", "scope", "subject"];
 
-    return errors;
+    return toResult(
+      this.lint(ast, (id) => headerRules.includes(id.split("-")[0]))
+    ).errors;
   }
 
   /**
@@ -85,44 +177,14 @@ class Validator {
    * @returns {string[]} - Array of error messages
    */
   validateSubject(subject) {
-    const errors = [];
-
-    // Check length
-    if (subject.length > this.config.maxSubjectLength) {
-      errors.push(
-        `Subject is too long (${subject.length} chars). Maximum is ${this.config.maxSubjectLength}`
-      );
-    }
-
-    if (subject.length < this.config.minSubjectLength) {
-      errors.push(
-        `Subject is too short (${subject.length} chars). Minimum is ${this.config.minSubjectLength}`
-      );
-    }
-
-    // Check if ends with period
-    if (subject.endsWith(".")) {
-      errors.push("Subject must not end with a period");
-    }
-
-    // Check imperative mood
-    if (this.config.enforceImperative) {
-      if (!this.isImperative(subject)) {
-        errors.push(
-          'Subject must use imperative mood (e.g., "add" not "adds" or "added")'
-        );
-      }
-    }
-
-    // Check case
-    if (
-      this.config.subjectCase === "lowercase" &&
-      subject[0] !== subject[0].toLowerCase()
-    ) {
-      errors.push("Subject must start with lowercase letter");
-    }
+    const ast = {
+      header: { raw: subject, type: "", scope: null, subject },
+      body: null,
+      footers: [],
+      lines: [subject],
+    };
 
-    return errors;
+    return toResult(this.lint(ast, (id) => id.startsWith("subject-"))).errors;
   }
 
   /**
@@ -131,19 +193,15 @@ class Validator {
    * @returns {string[]} - Array of error messages
    */
   validateBody(bodyLines) {
-    const errors = [];
-
-    bodyLines.forEach((line, index) => {
-      if (line.length > this.config.maxLineLength) {
-        errors.push(
-          `Body line ${index + 1} is too long (${
-            line.length
-          } chars). Maximum is ${this.config.maxLineLength}`
-        );
-      }
-    });
+    const ast = {
+      header: null,
+      body: bodyLines.length > 0 ? { text: bodyLines.join("\n") } : null,
+      footers: [],
+      lines: ["", "", ...bodyLines],
+    };
 
-    return errors;
+    return toResult(this.lint(ast, (id) => id === "body-max-line-length"))
+      .errors;
   }
 
   /**
@@ -195,67 +253,63 @@ class Validator {
       .replace(/^changed\s/i, "change ");
   }
 
+  /**
+   * Parse a commit message into its AST (header, body, footers, notes)
+   * @param {string} message - The commit message
+   * @returns {Object} - Commit AST
+   */
+  parseCommit(message) {
+    return this.parser.parse(message);
+  }
+
   /**
    * Parse a commit message into components
    * @param {string} message - The commit message
    * @returns {Object} - Parsed components
    */
   parse(message) {
-    const lines = message.split("\n");
-    const headerLine = lines[0];
-
-    const match = headerLine.match(/^(\w+)(\(([\w-]+)\))?:\s*(.+)$/);
+    const ast = this.parseCommit(message);
 
-    if (!match) {
+    if (!ast.header) {
       return null;
     }
 
-    const [, type, , scope, subject] = match;
-
-    // Find body (after blank line)
-    let bodyStartIndex = -1;
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim() === "" && i + 1 < lines.length) {
-        bodyStartIndex = i + 1;
-        break;
-      }
-    }
-
-    let body = "";
-    let footer = "";
-    let breaking = false;
-
-    if (bodyStartIndex !== -1) {
-      const bodyLines = lines.slice(bodyStartIndex);
-
-      // Check for footer (BREAKING CHANGE, Closes, etc.)
-      const footerIndex = bodyLines.findIndex(
-        (line) =>
-          line.startsWith("BREAKING CHANGE:") ||
-          line.startsWith("Closes") ||
-          line.startsWith("Fixes") ||
-          line.startsWith("Refs")
-      );
-
-      if (footerIndex !== -1) {
-        body = bodyLines.slice(0, footerIndex).join("\n").trim();
-        footer = bodyLines.slice(footerIndex).join("\n").trim();
-      } else {
-        body = bodyLines.join("\n").trim();
-      }
-
-      breaking = footer.includes("BREAKING CHANGE:");
-    }
+    const footerLine =
+      ast.footers.length > 0 ? ast.footers[0].position.line : 0;
+    const footer = footerLine
+      ? ast.lines
+          .slice(footerLine - 1)
+          .join("\n")
+          .trim()
+      : "";
 
     return {
-      type,
-      scope: scope || null,
-      subject,
-      body: body || null,
+      type: ast.header.type,
+      scope: ast.header.scope,
+      subject: ast.header.subject,
+      body: ast.body ? ast.body.text : null,
       footer: footer || null,
-      breaking,
+      breaking: ast.breaking,
     };
   }
 }
 
+/**
+ * Split problems into errors and warnings
+ * @param {Array} problems - Problems from lint()
+ * @returns {Object} - { valid, errors, warnings, problems }
+ */
+function toResult(problems) {
+  const messages = (level) =>
+    problems.filter((p) => p.level === level).map((p) => p.message);
+  const errors = messages("error");
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: messages("warn"),
+    problems,
+  };
+}
+
 module.exports = Validator;
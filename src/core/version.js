@@ -0,0 +1,257 @@
+// src/core/version.js
+// Semantic version helpers and bump recommendation
+
+const SEMVER_PATTERN =
+  /^(v?)(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?$/;
+
+const RELEASE_TYPES = ["none", "patch", "minor", "major"];
+
+// Commit types that trigger a release on their own
+const TYPE_BUMPS = {
+  feat: "minor",
+  fix: "patch",
+  perf: "patch",
+};
+
+/**
+ * Parse a semantic version string (with optional "v" prefix)
+ * @param {string} version - Version or tag name
+ * @returns {Object|null} - { prefix, major, minor, patch, prerelease }
+ */
+function parseVersion(version) {
+  const match = String(version).trim().match(SEMVER_PATTERN);
+  if (!match) return null;
+
+  const [, prefix, major, minor, patch, prerelease] = match;
+  return {
+    prefix,
+    major: Number(major),
+    minor: Number(minor),
+    patch: Number(patch),
+    prerelease: prerelease
+      ? prerelease.split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id))
+      : [],
+  };
+}
+
+/**
+ * Format a parsed version (without prefix)
+ * @param {Object} version - Parsed version
+ * @returns {string}
+ */
+function formatVersion(version) {
+  const core = `${version.major}.${version.minor}.${version.patch}`;
+  return version.prerelease.length > 0
+    ? `${core}-${version.prerelease.join(".")}`
+    : core;
+}
+
+/**
+ * Compare two versions by semver precedence
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  for (const key of ["major", "minor", "patch"]) {
+    if (left[key] !== right[key]) return left[key] - right[key];
+  }
+
+  // A version without prerelease has higher precedence
+  if (!left.prerelease.length || !right.prerelease.length) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const x = left.prerelease[i];
+    const y = right.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    if (typeof x === "number" && typeof y === "number") return x - y;
+    if (typeof x === "number") return -1;
+    if (typeof y === "number") return 1;
+    return x < y ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Find the highest semver tag
+ * @param {string[]} tags - Tag names
+ * @returns {string|null}
+ */
+function getLatestVersionTag(tags) {
+  const versions = tags.filter((tag) => parseVersion(tag));
+  if (versions.length === 0) return null;
+
+  return versions.sort(compareVersions)[versions.length - 1];
+}
+
+/**
+ * Increment a version
+ * @param {string} version - Current version
+ * @param {string} releaseType - "major" | "minor" | "patch"
+ * @param {string|null} preid - Prerelease identifier (e.g. "rc")
+ * @returns {string} - Next version (without prefix)
+ */
+function incrementVersion(version, releaseType, preid = null) {
+  const current = parseVersion(version);
+  if (!current) {
+    throw new Error(`Invalid version "${version}"`);
+  }
+
+  if (preid) {
+    // Stay on the current prerelease line if it already covers the bump
+    if (
+      current.prerelease.length > 0 &&
+      RELEASE_TYPES.indexOf(getImpliedType(current)) >=
+        RELEASE_TYPES.indexOf(releaseType)
+    ) {
+      return formatVersion({
+        ...current,
+        prerelease: incrementPrerelease(current.prerelease, preid),
+      });
+    }
+
+    const base = parseVersion(incrementVersion(version, releaseType));
+    return formatVersion({ ...base, prerelease: [preid, 0] });
+  }
+
+  const next = { ...current, prerelease: [] };
+  const isPrerelease = current.prerelease.length > 0;
+
+  if (releaseType === "major") {
+    if (!(isPrerelease && current.minor === 0 && current.patch === 0)) {
+      next.major++;
+    }
+    next.minor = 0;
+    next.patch = 0;
+  } else if (releaseType === "minor") {
+    if (!(isPrerelease && current.patch === 0)) {
+      next.minor++;
+    }
+    next.patch = 0;
+  } else if (releaseType === "patch") {
+    if (!isPrerelease) {
+      next.patch++;
+    }
+  } else {
+    throw new Error(`Invalid release type "${releaseType}"`);
+  }
+
+  return formatVersion(next);
+}
+
+/**
+ * Get the release type a prerelease is heading for (1.2.0-rc.1 → minor)
+ * @param {Object} version - Parsed version
+ * @returns {string}
+ */
+function getImpliedType(version) {
+  if (version.minor === 0 && version.patch === 0) return "major";
+  if (version.patch === 0) return "minor";
+  return "patch";
+}
+
+/**
+ * Increment prerelease identifiers (rc.1 → rc.2, beta.3 → rc.0)
+ * @param {Array} prerelease - Current identifiers
+ * @param {string} preid - Requested identifier
+ * @returns {Array}
+ */
+function incrementPrerelease(prerelease, preid) {
+  const last = prerelease[prerelease.length - 1];
+
+  if (prerelease[0] !== preid) {
+    return [preid, 0];
+  }
+  if (typeof last === "number") {
+    return [...prerelease.slice(0, -1), last + 1];
+  }
+  return [...prerelease, 0];
+}
+
+/**
+ * Recommend a release type from commits
+ * @param {Array} commits - Array of { hash, message }
+ * @param {Validator} validator - Validator used to parse messages
+ * @param {Object} options - { preMajor, currentVersion, bumps } where
+ *   `bumps` maps further types to "minor" or "patch"
+ * @returns {Object} - { releaseType, reason, stats }
+ */
+function recommendBump(commits, validator, options = {}) {
+  const bumps = { ...TYPE_BUMPS, ...options.bumps };
+  const stats = { total: commits.length, breaking: 0, features: 0, fixes: 0 };
+  let level = 0;
+
+  commits.forEach((commit) => {
+    const parsed = validator.parse(commit.message);
+    if (!parsed) return;
+
+    if (parsed.breaking) {
+      stats.breaking++;
+      level = Math.max(level, RELEASE_TYPES.indexOf("major"));
+    }
+
+    const bump = bumps[parsed.type];
+    if (bump === "minor") stats.features++;
+    if (bump === "patch") stats.fixes++;
+    if (bump) {
+      level = Math.max(level, RELEASE_TYPES.indexOf(bump));
+    }
+  });
+
+  let releaseType = RELEASE_TYPES[level];
+  const current = options.currentVersion
+    ? parseVersion(options.currentVersion)
+    : null;
+
+  // Before 1.0.0, breaking changes only bump the minor version
+  if (
+    options.preMajor &&
+    releaseType === "major" &&
+    current &&
+    current.major === 0
+  ) {
+    releaseType = "minor";
+  }
+
+  return { releaseType, reason: describeBump(stats), stats };
+}
+
+/**
+ * Describe why a release type was chosen
+ * @param {Object} stats - Commit statistics
+ * @returns {string}
+ */
+function describeBump(stats) {
+  const found = (count, one, many) =>
+    `${count} ${count === 1 ? one : many} found`;
+
+  if (stats.breaking > 0) {
+    return found(stats.breaking, "breaking change", "breaking changes");
+  }
+  if (stats.features > 0) {
+    return found(stats.features, "feature", "features");
+  }
+  if (stats.fixes > 0) {
+    return found(stats.fixes, "fix", "fixes");
+  }
+  return "No releasable changes found";
+}
+
+module.exports = {
+  parseVersion,
+  formatVersion,
+  compareVersions,
+  getLatestVersionTag,
+  incrementVersion,
+  recommendBump,
+  RELEASE_TYPES,
+};
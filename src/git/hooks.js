@@ -0,0 +1,189 @@
+// src/git/hooks.js
+// Install and remove git hooks that run this CLI
+
+const fs = require("fs").promises;
+const path = require("path");
+const GitOperations = require("./operations");
+const { shellQuote } = require("../utils/helpers");
+
+const HOOK_MARKER = "# conventional-commit-cli";
+const CHAINED_SUFFIX = ".chained";
+const BIN_PATH = path.resolve(__dirname, "../../bin/commit.js");
+
+// Command run by each supported hook ($1.. are the hook arguments)
+const HOOK_COMMANDS = {
+  "commit-msg": { command: 'lint-file "$1"' },
+  "prepare-commit-msg": { command: 'prepare-file "$1" "$2" "$3"', tty: true },
+};
+
+class GitHooks {
+  constructor(git = new GitOperations()) {
+    this.git = git;
+  }
+
+  /**
+   * Get the list of hooks this CLI can install
+   * @returns {string[]}
+   */
+  static get supported() {
+    return Object.keys(HOOK_COMMANDS);
+  }
+
+  /**
+   * Get the hooks directory, respecting core.hooksPath
+   * @returns {Promise<string>} - Absolute path
+   */
+  async getHooksDir() {
+    const hooksPath = await this.git.getConfigValue("core.hooksPath");
+
+    if (hooksPath) {
+      const root = await this.git.getRepoRoot();
+      const home = process.env.HOME || "~";
+      return path.resolve(root, hooksPath.replace(/^~(?=\/|$)/, home));
+    }
+
+    return this.git.getGitPath("hooks");
+  }
+
+  /**
+   * Install a hook, chaining any existing hook that isn't ours
+   * @param {string} name - Hook name (e.g. "commit-msg")
+   * @returns {Promise<Object>} - { path, chained }
+   */
+  async install(name = "commit-msg") {
+    this.assertSupported(name);
+
+    const hooksDir = await this.getHooksDir();
+    const hookPath = path.join(hooksDir, name);
+    const chainedPath = hookPath + CHAINED_SUFFIX;
+
+    await fs.mkdir(hooksDir, { recursive: true });
+
+    let chained = await exists(chainedPath);
+    const current = await readFile(hookPath);
+
+    if (current !== null && !this.isOwnHook(current)) {
+      if (chained) {
+        throw new Error(
+          `Both ${name} and ${name}${CHAINED_SUFFIX} exist in ${hooksDir}. ` +
+            "Merge them manually before installing."
+        );
+      }
+      await fs.rename(hookPath, chainedPath);
+      chained = true;
+    }
+
+    await fs.writeFile(hookPath, this.buildScript(name), { mode: 0o755 });
+    await fs.chmod(hookPath, 0o755);
+
+    return { path: hookPath, chained };
+  }
+
+  /**
+   * Remove a hook installed by this CLI and restore the chained one
+   * @param {string} name - Hook name
+   * @returns {Promise<Object>} - { path, removed, restored }
+   */
+  async uninstall(name = "commit-msg") {
+    this.assertSupported(name);
+
+    const hooksDir = await this.getHooksDir();
+    const hookPath = path.join(hooksDir, name);
+    const chainedPath = hookPath + CHAINED_SUFFIX;
+
+    const current = await readFile(hookPath);
+    if (current === null || !this.isOwnHook(current)) {
+      return { path: hookPath, removed: false, restored: false };
+    }
+
+    await fs.unlink(hookPath);
+
+    let restored = false;
+    if (await exists(chainedPath)) {
+      await fs.rename(chainedPath, hookPath);
+      restored = true;
+    }
+
+    return { path: hookPath, removed: true, restored };
+  }
+
+  /**
+   * Check if hook content was written by this CLI
+   * @param {string} content - Hook file content
+   * @returns {boolean}
+   */
+  isOwnHook(content) {
+    return content.includes(HOOK_MARKER);
+  }
+
+  /**
+   * Build the shell script for a hook
+   * @param {string} name - Hook name
+   * @returns {string} - Script content
+   */
+  buildScript(name) {
+    const { command, tty } = HOOK_COMMANDS[name];
+    const run = `${shellQuote(process.execPath)} ${shellQuote(BIN_PATH)} ${command}`;
+
+    // Interactive hooks reattach to the terminal so prompts work; without
+    // one (IDEs, scripts) they are skipped and git behaves as usual
+    const exec = tty
+      ? `if { true < /dev/tty; } 2>/dev/null; then
+  exec ${run} < /dev/tty
+fi`
+      : `exec ${run}`;
+
+    return `#!/bin/sh
+${HOOK_MARKER}
+# Installed by "commit hook install". Remove with "commit hook uninstall".
+
+chained="$(dirname "$0")/${name}${CHAINED_SUFFIX}"
+if [ -x "$chained" ]; then
+  "$chained" "$@" || exit $?
+fi
+
+${exec}
+`;
+  }
+
+  /**
+   * Throw if the hook isn't supported
+   * @param {string} name - Hook name
+   */
+  assertSupported(name) {
+    if (!HOOK_COMMANDS[name]) {
+      throw new Error(
+        `Unsupported hook "${name}". Must be one of: ${GitHooks.supported.join(", ")}`
+      );
+    }
+  }
+}
+
+/**
+ * Check if a file exists
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a file, returning null when it doesn't exist
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>}
+ */
+async function readFile(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = GitHooks;
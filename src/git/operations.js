@@ -1,6 +1,8 @@
 // src/git/operations.js
 // Git operations wrapper
 
+const fs = require("fs");
+const path = require("path");
 const simpleGit = require("simple-git");
 const logger = require("../utils/logger");
 
@@ -71,11 +73,17 @@ class GitOperations {
   /**
    * Commit with message
    * @param {string} message - Commit message
+   * @param {Object} options - { noVerify } to skip the pre-commit and
+   *   commit-msg hooks
    * @returns {Promise<Object>} - Commit result
    */
-  async commit(message) {
+  async commit(message, options = {}) {
     try {
-      const result = await this.git.commit(message);
+      const result = await this.git.commit(
+        message,
+        [],
+        options.noVerify ? { "--no-verify": null } : {}
+      );
       logger.success(`Committed: ${result.commit}`);
       return result;
     } catch (error) {
@@ -134,6 +142,112 @@ class GitOperations {
     }
   }
 
+  /**
+   * Get commits with their full messages, newest first
+   * @param {Object} options - { from, to, since, until, author, maxCount, includeMerges }
+   * @returns {Promise<Array>} - Array of commits
+   */
+  async getCommits(options = {}) {
+    const { from, to = "HEAD", since, until, author, maxCount } = options;
+    const args = [];
+
+    if (maxCount) args.push(`--max-count=${maxCount}`);
+    if (since) args.push(`--since=${since}`);
+    if (until) args.push(`--until=${until}`);
+    if (author) args.push(`--author=${author}`);
+    if (!options.includeMerges) args.push("--no-merges");
+    args.push(from ? `${from}..${to}` : to);
+
+    try {
+      const log = await this.git.log(args);
+      return log.all.map((commit) => ({
+        hash: commit.hash.substring(0, 7),
+        fullHash: commit.hash,
+        message: commit.body
+          ? `${commit.message}\n\n${commit.body.trim()}`
+          : commit.message,
+        author: commit.author_name,
+        email: commit.author_email,
+        date: commit.date,
+      }));
+    } catch (error) {
+      logger.error("Failed to get commits: " + error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get commits in a range with their full messages (newest first)
+   * @param {string|null} from - Exclusive start ref (null for the beginning)
+   * @param {string} to - Inclusive end ref
+   * @returns {Promise<Array>} - Array of commits
+   */
+  async getCommitsBetween(from = null, to = "HEAD") {
+    for (const ref of [from, to].filter(Boolean)) {
+      if (!(await this.isCommitRef(ref))) {
+        throw new Error(`Unknown ref "${ref}"`);
+      }
+    }
+    return this.getCommits({ from, to, includeMerges: true });
+  }
+
+  /**
+   * Check if a ref (branch, tag or hash) names a commit
+   * @param {string} ref - Ref to check
+   * @returns {Promise<boolean>}
+   */
+  async isCommitRef(ref) {
+    try {
+      await this.git.revparse(["--verify", "--quiet", `${ref}^{commit}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get all tag names
+   * @returns {Promise<string[]>}
+   */
+  async getTags() {
+    try {
+      const tags = await this.git.tags();
+      return tags.all;
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get the most recent tag reachable from a ref
+   * @param {string} ref - Ref to start from
+   * @returns {Promise<string|null>} - Tag name or null if there is none
+   */
+  async getLatestTag(ref = "HEAD") {
+    try {
+      const tag = await this.git.raw(["describe", "--tags", "--abbrev=0", ref]);
+      return tag.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create an annotated tag
+   * @param {string} name - Tag name
+   * @param {string} message - Tag message
+   * @returns {Promise<void>}
+   */
+  async createTag(name, message) {
+    try {
+      await this.git.addAnnotatedTag(name, message);
+      logger.success(`Created tag: ${name}`);
+    } catch (error) {
+      logger.error("Failed to create tag: " + error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get diff summary of staged changes
    * @returns {Promise<Object>} - Diff statistics
@@ -157,6 +271,24 @@ class GitOperations {
     }
   }
 
+  /**
+   * Get the full diff of staged changes
+   * @returns {Promise<string>} - Unified diff (empty on failure)
+   */
+  async getStagedDiff() {
+    try {
+      return await this.git.diff([
+        "--cached",
+        "--no-color",
+        "--no-ext-diff",
+        "-M",
+      ]);
+    } catch (error) {
+      logger.error("Failed to get diff: " + error.message);
+      return "";
+    }
+  }
+
   /**
    * Stage all changes
    * @returns {Promise<void>}
@@ -199,6 +331,53 @@ class GitOperations {
     }
   }
 
+  /**
+   * Resolve a path inside the git directory (e.g. "hooks", "COMMIT_EDITMSG")
+   * @param {string} name - Path relative to the git directory
+   * @returns {Promise<string>} - Absolute path
+   */
+  async getGitPath(name) {
+    const gitPath = await this.git.revparse(["--git-path", name]);
+    return path.resolve(process.cwd(), gitPath.trim());
+  }
+
+  /**
+   * Get the sequencer operation in progress (rebase, cherry-pick, ...)
+   * @returns {Promise<string|null>} - Operation name or null
+   */
+  async getOperationInProgress() {
+    const markers = {
+      "rebase-merge": "rebase",
+      "rebase-apply": "rebase",
+      CHERRY_PICK_HEAD: "cherry-pick",
+      REVERT_HEAD: "revert",
+      MERGE_HEAD: "merge",
+    };
+
+    for (const [marker, operation] of Object.entries(markers)) {
+      const markerPath = await this.getGitPath(marker);
+      if (fs.existsSync(markerPath)) {
+        return operation;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a git config value
+   * @param {string} key - Config key (e.g. "core.hooksPath")
+   * @returns {Promise<string|null>} - Value or null when unset
+   */
+  async getConfigValue(key) {
+    try {
+      const value = await this.git.raw(["config", "--get", key]);
+      return value.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get current branch name
    * @returns {Promise<string>} - Branch name
@@ -1,27 +1,108 @@
 // src/index.js
 // Main orchestrator - ties everything together
 
+const fs = require("fs").promises;
+const path = require("path");
 const InteractivePrompt = require("./prompts/interactive");
 const GitOperations = require("./git/operations");
+const GitHooks = require("./git/hooks");
+const reporters = require("./utils/reporters");
 const Validator = require("./core/validator");
 const Formatter = require("./core/formatter");
+const Changelog = require("./core/changelog");
+const {
+  getLatestVersionTag,
+  incrementVersion,
+  parseVersion,
+  recommendBump,
+  RELEASE_TYPES,
+} = require("./core/version");
+const { bumpFileContent } = require("./core/release");
+const { parseDiff } = require("./core/diff");
+const { inferType } = require("./core/inference");
+const { summarizeDiff } = require("./core/summary");
+const { getProvider, suggestMessages } = require("./core/suggestions");
+const { extractIssueKeys, formatIssueFooter } = require("./core/issues");
 const logger = require("./utils/logger");
-const defaults = require("./config/defaults");
+const { loadConfig, mergeConfig, resolveConfig } = require("./config/loader");
+const { loadPlugins, createRegistry } = require("./config/plugins");
+const { getHeaderFormat } = require("./core/headers");
+const { findWorkspacePackages } = require("./utils/workspaces");
+const {
+  readStream,
+  stripCommitComments,
+  isAutoGeneratedMessage,
+} = require("./utils/helpers");
 
 class CommitCLI {
-  constructor(config = {}) {
-    this.config = { ...defaults, ...config };
+  /**
+   * @param {Object} config - Config merged over the defaults and its preset
+   * @param {Object} context - { plugins, packages } from loadPlugins and
+   *   findWorkspacePackages
+   */
+  constructor(config = {}, context = {}) {
+    const plugins = context.plugins || createRegistry();
+    const packages = context.packages || [];
+
+    this.config = resolveConfig(config);
+    this.config.types = [
+      ...this.config.types,
+      ...plugins.types.filter(
+        (type) => !this.config.types.some((t) => t.value === type.value)
+      ),
+    ];
+    this.config.scopes = [
+      ...new Set([...this.config.scopes, ...packages.map((pkg) => pkg.scope)]),
+    ];
+    this.context = {
+      plugins,
+      packages,
+      headerFormat: getHeaderFormat(
+        this.config.headerFormat,
+        plugins.headerFormats
+      ),
+    };
+
     this.git = new GitOperations();
-    this.validator = new Validator(this.config.rules);
-    this.formatter = new Formatter();
-    this.prompt = new InteractivePrompt(this.config);
+    this.validator = new Validator(this.config.rules, {
+      ...this.context,
+      config: this.config,
+    });
+    this.formatter = new Formatter(this.config, this.context);
+    this.prompt = new InteractivePrompt(this.config, {
+      ...this.context,
+      validator: this.validator,
+    });
+  }
+
+  /**
+   * Create a CLI instance using the project configuration
+   * (.commitrc.*, commit.config.js or the "commit" key in package.json)
+   * with the plugins it lists and the monorepo packages
+   * @param {Object} overrides - Config values that take precedence
+   * @returns {Promise<CommitCLI>}
+   */
+  static async create(overrides = {}) {
+    const git = new GitOperations();
+    const root = await git.getRepoRoot();
+    const { config, filepath } = await loadConfig({ cwd: root, git });
+    const merged = mergeConfig(config, overrides);
+    const plugins = loadPlugins(merged.plugins, {
+      cwd: filepath ? path.dirname(filepath) : process.cwd(),
+    });
+    const packages = merged.scopesFromWorkspaces
+      ? await findWorkspacePackages(root)
+      : [];
+
+    return new CommitCLI(merged, { plugins, packages });
   }
 
   /**
    * Run interactive commit mode
+   * @param {Object} options - { dryRun, print, output, verify }
    * @returns {Promise<void>}
    */
-  async interactive() {
+  async interactive(options = {}) {
     try {
       // Check if git repo
       if (!(await this.git.isGitRepo())) {
@@ -29,8 +110,12 @@ class CommitCLI {
         process.exit(1);
       }
 
+      const composing = this.startComposing(options);
+
       // Check for staged changes
-      if (!(await this.git.hasStagedChanges())) {
+      if (composing && !(await this.git.hasStagedChanges())) {
+        logger.warning("No staged changes, composing the message anyway");
+      } else if (!(await this.git.hasStagedChanges())) {
         logger.warning("No staged changes found");
 
         const shouldStageAll = await this.confirmStageAll();
@@ -46,22 +131,28 @@ class CommitCLI {
       await this.git.showStatus();
 
       // Run interactive prompts
-      const result = await this.prompt.run();
+      const result = await this.prompt.run({
+        scope: await this.getRequiredScope(),
+        footer: await this.getIssueFooter(),
+      });
 
       if (!result) {
         process.exit(0);
       }
 
       // Validate
-      const validation = this.validator.validate(result.message);
-      if (!validation.valid) {
-        logger.error("Validation failed:");
-        validation.errors.forEach((err) => logger.error(`  • ${err}`));
+      if (!(await this.reportValidation(result.message))) {
         process.exit(1);
       }
 
+      if (await this.outputMessage(result.message, options)) {
+        return;
+      }
+
       // Commit
-      await this.git.commit(result.message);
+      await this.git.commit(result.message, {
+        noVerify: options.verify === false,
+      });
       logger.success("Successfully committed! 🎉");
     } catch (error) {
       logger.error("Error: " + error.message);
@@ -72,27 +163,84 @@ class CommitCLI {
   /**
    * Quick commit with minimal prompts
    * @param {string} message - Optional message
+   * @param {Object} options - { dryRun, print, output, verify }
    * @returns {Promise<void>}
    */
-  async quick(message = null) {
+  async quick(message = null, options = {}) {
     try {
       if (!(await this.git.isGitRepo())) {
         logger.error("Not a git repository");
         process.exit(1);
       }
 
-      if (!(await this.git.hasStagedChanges())) {
+      const composing = this.startComposing(options);
+
+      if (!composing && !(await this.git.hasStagedChanges())) {
         logger.warning("No staged changes");
         process.exit(1);
       }
 
-      const result = await this.prompt.runQuick(message);
+      const result = await this.prompt.runQuick(message, {
+        scope: await this.getRequiredScope(),
+      });
 
       if (!result) {
         process.exit(0);
       }
 
-      await this.git.commit(result.message);
+      if (!(await this.reportValidation(result.message))) {
+        process.exit(1);
+      }
+
+      if (await this.outputMessage(result.message, options)) {
+        return;
+      }
+
+      await this.git.commit(result.message, {
+        noVerify: options.verify === false,
+      });
+      logger.success("Committed! ✓");
+    } catch (error) {
+      logger.error("Error: " + error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Commit without any prompt, for scripts and bots
+   * The message comes from `message` ("-" reads stdin) or from `type` and
+   * `subject`; body, breaking change and footers are added from the options.
+   * Exits with code 1 when nothing is staged or the message is invalid.
+   * @param {Object} options - { message, type, scope, subject, body,
+   *   breaking, footer, trailer, verify, dryRun, print, output }
+   * @returns {Promise<void>}
+   */
+  async nonInteractive(options = {}) {
+    try {
+      if (!(await this.git.isGitRepo())) {
+        logger.error("Not a git repository");
+        process.exit(1);
+      }
+
+      const composing = this.startComposing(options);
+
+      if (!composing && !(await this.git.hasStagedChanges())) {
+        logger.error("No staged changes");
+        process.exit(1);
+      }
+
+      const message = await this.buildMessage(options);
+      logger.success(`Formatted: ${message.split("\n")[0]}`);
+
+      if (!(await this.reportValidation(message))) {
+        process.exit(1);
+      }
+
+      if (await this.outputMessage(message, options)) {
+        return;
+      }
+
+      await this.git.commit(message, { noVerify: options.verify === false });
       logger.success("Committed! ✓");
     } catch (error) {
       logger.error("Error: " + error.message);
@@ -100,6 +248,118 @@ class CommitCLI {
     }
   }
 
+  /**
+   * Build a commit message from command line options
+   * A message that already has a valid header is kept as written; otherwise
+   * its first line is auto-formatted like in quick mode.
+   * @param {Object} options - See nonInteractive
+   * @returns {Promise<string>}
+   */
+  async buildMessage(options = {}) {
+    const parser = this.validator.parser;
+    const footers = [...(options.footer || []), ...(options.trailer || [])].map(
+      (text) => parseFooterOption(text, parser)
+    );
+
+    let raw = options.message;
+    if (raw === "-") {
+      raw = stripCommitComments(await readStream(process.stdin));
+    }
+
+    let components;
+    if (raw && raw.trim()) {
+      const ast = parser.parse(raw.trim());
+      if (ast.header) {
+        components = {
+          type: ast.header.type,
+          scope: ast.header.scope,
+          subject: ast.header.subject,
+          fields: ast.header.fields,
+          bang: ast.header.breaking,
+          body: ast.body ? ast.body.text : null,
+          footers: ast.footers,
+        };
+      } else {
+        const [first, ...rest] = raw.trim().split("\n");
+        const detected = this.formatter.autoFormat(first, options.type);
+        components = {
+          type: detected.type,
+          scope: options.scope || (await this.getRequiredScope()),
+          subject: detected.subject,
+          body: rest.join("\n").trim() || null,
+          footers: [],
+        };
+      }
+    } else if (options.type && options.subject) {
+      components = {
+        type: options.type,
+        scope: options.scope || (await this.getRequiredScope()),
+        subject: options.subject,
+        body: null,
+        footers: [],
+      };
+    } else {
+      throw new Error(
+        "Nothing to commit: pass --message (- reads stdin) or --type and --subject"
+      );
+    }
+
+    if (options.body) {
+      components.body = [components.body, options.body]
+        .filter(Boolean)
+        .join("\n\n");
+    }
+    if (options.breaking) {
+      components.bang = true;
+      if (typeof options.breaking === "string") {
+        components.breaking = options.breaking;
+      }
+    }
+    components.footers = [...components.footers, ...footers];
+
+    return this.formatter.format(components);
+  }
+
+  /**
+   * Keep stdout for the finished message when it is printed instead of
+   * committed: log and prompt on stderr from here on
+   * @param {Object} options - { dryRun, print, output }
+   * @returns {boolean} - True if the message will not be committed
+   */
+  startComposing(options = {}) {
+    const composing = Boolean(
+      options.dryRun || options.print || options.output
+    );
+    if (composing && !options.output) {
+      logger.useStderr();
+      this.prompt.setOutput(process.stderr);
+    }
+    return composing;
+  }
+
+  /**
+   * Print or write a finished message instead of committing it
+   * @param {string} message - Commit message
+   * @param {Object} options - { dryRun, print, output }
+   * @returns {Promise<boolean>} - True if the message was output, so nothing
+   *   is to be committed
+   */
+  async outputMessage(message, options = {}) {
+    if (options.output) {
+      await fs.writeFile(options.output, `${message}\n`);
+      logger.success(`Message written to ${options.output}`);
+      return true;
+    }
+    if (options.print || options.dryRun) {
+      process.stdout.write(`${message}\n`);
+      if (options.dryRun) {
+        logger.info("Dry run: nothing was committed");
+      }
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Amend last commit
    * @returns {Promise<void>}
@@ -118,7 +378,9 @@ class CommitCLI {
         process.exit(1);
       }
 
-      const result = await this.prompt.runAmend(lastMessage);
+      const result = await this.prompt.runAmend(lastMessage, {
+        scope: await this.getRequiredScope(),
+      });
 
       if (!result) {
         process.exit(0);
@@ -134,62 +396,593 @@ class CommitCLI {
 
   /**
    * Validate commit history
-   * @param {number} count - Number of commits to check
+   * Exits with code 1 when any commit is invalid, so it can gate CI.
+   * @param {Object} options - { count, from, to, since, until, author,
+   *   includeMerges, format }
    * @returns {Promise<void>}
    */
-  async validateHistory(count = 10) {
+  async validateHistory(options = {}) {
+    const format = options.format || "text";
+
     try {
+      if (format !== "text" && !reporters[format]) {
+        logger.error(
+          `Unknown format "${format}". Must be one of: text, ${Object.keys(
+            reporters
+          ).join(", ")}`
+        );
+        process.exit(1);
+      }
+
       if (!(await this.git.isGitRepo())) {
         logger.error("Not a git repository");
         process.exit(1);
       }
 
-      const commits = await this.git.getCommitHistory(count);
+      const commits = await this.git.getCommits({
+        from: options.from,
+        to: options.to,
+        since: options.since,
+        until: options.until,
+        author: options.author,
+        maxCount: options.count,
+        includeMerges: options.includeMerges,
+      });
 
-      logger.title(`Validating last ${commits.length} commits`);
+      const records = commits.map((commit) =>
+        this.validateCommit(commit, options)
+      );
+      const summary = {
+        total: records.length,
+        valid: records.filter((r) => !r.skipped && r.valid).length,
+        invalid: records.filter((r) => !r.skipped && !r.valid).length,
+        skipped: records.filter((r) => r.skipped).length,
+      };
 
-      let validCount = 0;
-      let invalidCount = 0;
+      if (format === "text") {
+        logger.title(`Validating ${describeRange(options, commits.length)}`);
+        this.printRecords(records, summary);
+      } else {
+        logger.log(reporters[format](records, summary));
+      }
 
-      commits.forEach((commit) => {
-        const validation = this.validator.validate(commit.message);
+      if (summary.invalid > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error("Error: " + error.message);
+      process.exit(1);
+    }
+  }
 
-        if (validation.valid) {
-          logger.success(`${commit.hash} - ${commit.message}`);
-          validCount++;
+  /**
+   * Validate a message and print its errors and warnings
+   * @param {string} message - Commit message
+   * @param {string} heading - Heading printed before errors
+   * @returns {Promise<boolean>} - True if the message has no errors
+   */
+  async reportValidation(message, heading = "Validation failed:") {
+    const files = await this.git.getStagedFiles();
+    const branch = await this.git.getCurrentBranch();
+    const validation = this.validator.validate(message, { files, branch });
+
+    if (validation.problems.length > 0) {
+      if (validation.valid) {
+        logger.warning("Commit message has warnings:");
+      } else {
+        logger.error(heading);
+      }
+      logger.problems(validation.problems);
+    }
+
+    return validation.valid;
+  }
+
+  /**
+   * Validate a single commit into a report record
+   * @param {Object} commit - Commit from GitOperations.getCommits
+   * @param {Object} options - { includeMerges }
+   * @returns {Object} - Validation record
+   */
+  validateCommit(commit, options = {}) {
+    const record = {
+      hash: commit.hash,
+      fullHash: commit.fullHash,
+      author: commit.author,
+      email: commit.email,
+      date: commit.date,
+      header: commit.message.split("\n")[0],
+      message: commit.message,
+      parsed: this.validator.parse(commit.message),
+      valid: true,
+      skipped: false,
+      violations: [],
+    };
+
+    if (!options.includeMerges && isAutoGeneratedMessage(commit.message)) {
+      record.skipped = true;
+      return record;
+    }
+
+    const validation = this.validator.validate(commit.message);
+    record.valid = validation.valid;
+    record.violations = validation.problems.map(({ rule, level, message }) => ({
+      rule,
+      severity: level === "error" ? "error" : "warning",
+      message,
+    }));
+
+    return record;
+  }
+
+  /**
+   * Print validation records for humans
+   * @param {Array} records - Validation records
+   * @param {Object} summary - { valid, invalid, skipped }
+   */
+  printRecords(records, summary) {
+    records.forEach((record) => {
+      if (record.skipped) {
+        logger.log(`- ${record.hash} - ${record.header} (skipped)`);
+      } else if (record.valid && record.violations.length === 0) {
+        logger.success(`${record.hash} - ${record.header}`);
+      } else {
+        if (record.valid) {
+          logger.warning(`${record.hash} - ${record.header}`);
         } else {
-          logger.error(`${commit.hash} - ${commit.message}`);
-          validation.errors.forEach((err) => {
-            logger.log(`    ${err}`);
-          });
-          invalidCount++;
+          logger.error(`${record.hash} - ${record.header}`);
         }
+        record.violations.forEach((violation) => {
+          logger.log(`    ${violation.message} [${violation.rule}]`);
+        });
+      }
+    });
+
+    logger.divider();
+    logger.info(
+      `Valid: ${summary.valid}, Invalid: ${summary.invalid}, Skipped: ${summary.skipped}`
+    );
+
+    if (summary.invalid > 0) {
+      logger.warning(`\nFound ${summary.invalid} invalid commit(s)`);
+      logger.info("Consider using: commit amend");
+    }
+  }
+
+  /**
+   * Generate a changelog section and prepend it to the changelog file
+   * @param {Object} options - { from, to, releaseAs, file, stdout }
+   * @returns {Promise<void>}
+   */
+  async changelog(options = {}) {
+    try {
+      if (!(await this.git.isGitRepo())) {
+        logger.error("Not a git repository");
+        process.exit(1);
+      }
+
+      const to = options.to || "HEAD";
+      const from = options.from || (await this.git.getLatestTag(`${to}^`));
+      const tags = await this.git.getTags();
+      const version =
+        options.releaseAs || (tags.includes(to) ? to : "Unreleased");
+
+      const commits = await this.git.getCommitsBetween(from, to);
+      const generator = new Changelog(this.config, this.context);
+      const section = generator.render(version, commits);
+
+      if (options.stdout) {
+        logger.log(section);
+        return;
+      }
+
+      const root = await this.git.getRepoRoot();
+      const file = path.resolve(
+        root,
+        options.file || this.config.changelog.file
+      );
+      const existing = await fs.readFile(file, "utf8").catch(() => null);
+
+      await fs.writeFile(file, generator.prepend(existing, section));
+
+      const range = from ? `${from}..${to}` : to;
+      logger.success(
+        `Added ${version} to ${path.relative(root, file)} (${
+          commits.length
+        } commits in ${range})`
+      );
+    } catch (error) {
+      logger.error("Error: " + error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Calculate the next version from commits since the latest semver tag
+   * @param {Object} options - { preMajor, prerelease }
+   * @returns {Promise<Object>} - Version plan
+   */
+  async getVersionPlan(options = {}) {
+    const tags = await this.git.getTags();
+    const latestTag = getLatestVersionTag(tags);
+    const current = latestTag ? parseVersion(latestTag) : null;
+    const currentVersion = latestTag
+      ? latestTag.slice(current.prefix.length)
+      : "0.0.0";
+
+    const commits = await this.git.getCommitsBetween(latestTag, "HEAD");
+    const bumps = Object.fromEntries(
+      this.config.types.filter((t) => t.bump).map((t) => [t.value, t.bump])
+    );
+    const { releaseType, reason, stats } = recommendBump(
+      commits,
+      this.validator,
+      { preMajor: options.preMajor, currentVersion, bumps }
+    );
+
+    const preid = options.prerelease === true ? "rc" : options.prerelease;
+    const next =
+      releaseType === "none"
+        ? null
+        : incrementVersion(currentVersion, releaseType, preid || null);
+    const prefix = current ? current.prefix : this.config.release.tagPrefix;
+
+    return {
+      currentTag: latestTag,
+      current: currentVersion,
+      releaseType,
+      next,
+      nextTag: next ? `${prefix}${next}` : null,
+      reason,
+      commits: stats,
+    };
+  }
+
+  /**
+   * Report the recommended version bump
+   * @param {Object} options - { preMajor, prerelease, json }
+   * @returns {Promise<void>}
+   */
+  async nextVersion(options = {}) {
+    try {
+      if (!(await this.git.isGitRepo())) {
+        logger.error("Not a git repository");
+        process.exit(1);
+      }
+
+      const plan = await this.getVersionPlan(options);
+
+      if (options.json) {
+        logger.log(JSON.stringify(plan, null, 2));
+        return;
+      }
+
+      logger.title("Next version");
+      logger.table({
+        Current: plan.currentTag || `${plan.current} (no tags)`,
+        Commits: plan.commits.total,
+        Breaking: plan.commits.breaking,
+        Features: plan.commits.features,
+        Fixes: plan.commits.fixes,
+        Bump: plan.releaseType,
+        Next: plan.next || "-",
       });
+      logger.info(plan.reason);
+    } catch (error) {
+      logger.error("Error: " + error.message);
+      process.exit(1);
+    }
+  }
 
-      logger.divider();
-      logger.info(`Valid: ${validCount}, Invalid: ${invalidCount}`);
+  /**
+   * Bump versions, write the changelog, commit and tag a release
+   * @param {Object} options - { releaseAs, preMajor, prerelease, changelog, dryRun }
+   * @returns {Promise<void>}
+   */
+  async release(options = {}) {
+    try {
+      if (!(await this.git.isGitRepo())) {
+        logger.error("Not a git repository");
+        process.exit(1);
+      }
 
-      if (invalidCount > 0) {
-        logger.warning(`\nFound ${invalidCount} invalid commit(s)`);
-        logger.info("Consider using: commit --amend");
+      if (!options.dryRun && (await this.git.hasStagedChanges())) {
+        logger.error("You have staged changes. Commit or unstage them first.");
+        process.exit(1);
       }
+
+      const plan = await this.getVersionPlan(options);
+      const preid = options.prerelease === true ? "rc" : options.prerelease;
+      let next = plan.next;
+
+      if (options.releaseAs) {
+        // "none" ranks recommendations; it is not something to release as
+        const bumps = RELEASE_TYPES.filter((type) => type !== "none");
+        next = bumps.includes(options.releaseAs)
+          ? incrementVersion(plan.current, options.releaseAs, preid || null)
+          : options.releaseAs.replace(/^v/, "");
+
+        if (!parseVersion(next)) {
+          logger.error(
+            `Invalid version "${options.releaseAs}". Use ${bumps.join(
+              ", "
+            )} or a version like 1.2.0`
+          );
+          process.exit(1);
+        }
+      }
+
+      if (!next) {
+        logger.warning(plan.reason + ". Nothing to release.");
+        logger.info("Use --release-as to force a version");
+        return;
+      }
+
+      const prefix = plan.currentTag
+        ? parseVersion(plan.currentTag).prefix
+        : this.config.release.tagPrefix;
+      const tag = `${prefix}${next}`;
+      const root = await this.git.getRepoRoot();
+
+      // Prepare all file changes before touching anything
+      const updates = [];
+      for (const file of this.config.release.bumpFiles) {
+        const filePath = path.resolve(root, file);
+        const content = await fs.readFile(filePath, "utf8").catch(() => null);
+        if (content === null) {
+          logger.warning(`Skipping ${file} (not found)`);
+          continue;
+        }
+        updates.push({
+          file,
+          filePath,
+          content: bumpFileContent(content, file, plan.current, next),
+        });
+      }
+
+      if (options.changelog !== false) {
+        const commits = await this.git.getCommitsBetween(plan.currentTag);
+        const generator = new Changelog(this.config, this.context);
+        const file = this.config.changelog.file;
+        const filePath = path.resolve(root, file);
+        const existing = await fs.readFile(filePath, "utf8").catch(() => null);
+        const section = generator.render(next, commits);
+
+        updates.push({
+          file,
+          filePath,
+          content: generator.prepend(existing, section),
+          section,
+        });
+      }
+
+      const message = await this.getReleaseMessage(tag, next);
+
+      logger.title(`Release ${tag}`);
+      logger.table({
+        Current: plan.currentTag || "none",
+        Bump: options.releaseAs || plan.releaseType,
+        Next: next,
+        Files: updates.map((u) => u.file).join(", ") || "-",
+        Commit: message,
+        Tag: tag,
+      });
+
+      if (options.dryRun) {
+        const changelog = updates.find((u) => u.section);
+        if (changelog) {
+          logger.log(changelog.section);
+        }
+        logger.info("Dry run: no files, commits or tags were created");
+        return;
+      }
+
+      for (const update of updates) {
+        await fs.writeFile(update.filePath, update.content);
+      }
+
+      if (updates.length > 0) {
+        await this.git.stageFiles(updates.map((u) => u.filePath));
+      }
+      await this.git.commit(message);
+      await this.git.createTag(tag, message);
+
+      logger.success(`Released ${tag} 🎉`);
+      logger.info(`Push with: git push --follow-tags`);
     } catch (error) {
       logger.error("Error: " + error.message);
       process.exit(1);
     }
   }
 
+  /**
+   * Build the release commit message from release.commit
+   * @param {string} tag - Release tag (e.g. "v2.0.0")
+   * @param {string} version - Release version (e.g. "2.0.0")
+   * @returns {Promise<string>}
+   * @throws {Error} - When the message breaks the configured rules
+   */
+  async getReleaseMessage(tag, version) {
+    const commit = this.config.release.commit;
+    const fill = (text) =>
+      text
+        ? text.replace(/\{tag\}/g, tag).replace(/\{version\}/g, version)
+        : null;
+
+    const message = this.formatter.format({
+      type: this.formatter.resolveType(commit.type),
+      scope: fill(commit.scope) || (await this.getRequiredScope()),
+      subject: fill(commit.subject),
+      body: null,
+      breaking: null,
+      footer: null,
+    });
+
+    const result = this.validator.validate(message);
+    if (!result.valid) {
+      throw new Error(
+        `Invalid release commit "${message}": ${result.errors.join(
+          ", "
+        )}. Adjust release.commit in the config`
+      );
+    }
+    return message;
+  }
+
+  /**
+   * Validate a commit message file (used by the commit-msg hook)
+   * @param {string} filePath - Path to the message file git passes to the hook
+   * @returns {Promise<void>}
+   */
+  async lintFile(filePath) {
+    try {
+      const raw = await fs.readFile(filePath, "utf8");
+      const commentChar = await this.getCommentChar();
+      const message = stripCommitComments(raw, commentChar);
+
+      // Let git handle empty messages and its own generated ones
+      if (!message || isAutoGeneratedMessage(message)) {
+        return;
+      }
+
+      const heading = "Commit message does not follow conventional commits:";
+      if (!(await this.reportValidation(message, heading))) {
+        logger.log("");
+        logger.log(message);
+        logger.log("");
+        logger.info("Edit your message or run: commit");
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error("Error: " + error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Write a message into the file git passes to prepare-commit-msg, so plain
+   * `git commit` goes through the interactive prompt
+   * @param {string} filePath - Path to the message file (COMMIT_EDITMSG)
+   * @param {string} source - Message source given by git (message, merge...)
+   * @returns {Promise<void>}
+   */
+  async prepareFile(filePath, source = "") {
+    try {
+      // Keep messages that git or the user already provided
+      if (["message", "merge", "squash", "commit"].includes(source)) {
+        return;
+      }
+
+      if (await this.git.getOperationInProgress()) {
+        return;
+      }
+
+      const result = await this.prompt.run();
+
+      if (!result) {
+        // Fall back to the editor with git's own template
+        return;
+      }
+
+      if (!(await this.reportValidation(result.message))) {
+        process.exit(1);
+      }
+
+      const original = await fs.readFile(filePath, "utf8").catch(() => "");
+      const commentChar = await this.getCommentChar();
+      const comments = original
+        .split("\n")
+        .filter((line) => line.startsWith(commentChar));
+
+      const content = [result.message, "", ...comments].join("\n");
+      await fs.writeFile(filePath, content.trimEnd() + "\n");
+    } catch (error) {
+      logger.error("Error: " + error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Install a git hook that runs this CLI
+   * @param {string} name - Hook name
+   * @returns {Promise<void>}
+   */
+  async installHook(name = "commit-msg") {
+    try {
+      if (!(await this.git.isGitRepo())) {
+        logger.error("Not a git repository");
+        process.exit(1);
+      }
+
+      const hooks = new GitHooks(this.git);
+      const result = await hooks.install(name);
+
+      logger.success(`Installed ${name} hook: ${result.path}`);
+      if (result.chained) {
+        logger.info(`Existing ${name} hook will run first`);
+      }
+    } catch (error) {
+      logger.error("Failed to install hook: " + error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Remove a git hook installed by this CLI
+   * @param {string} name - Hook name
+   * @returns {Promise<void>}
+   */
+  async uninstallHook(name = "commit-msg") {
+    try {
+      if (!(await this.git.isGitRepo())) {
+        logger.error("Not a git repository");
+        process.exit(1);
+      }
+
+      const hooks = new GitHooks(this.git);
+      const result = await hooks.uninstall(name);
+
+      if (!result.removed) {
+        logger.warning(`No ${name} hook installed by commit at ${result.path}`);
+        return;
+      }
+
+      logger.success(`Removed ${name} hook`);
+      if (result.restored) {
+        logger.info(`Restored previous ${name} hook`);
+      }
+    } catch (error) {
+      logger.error("Failed to uninstall hook: " + error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Get the comment character git uses in message files
+   * @returns {Promise<string>}
+   */
+  async getCommentChar() {
+    const commentChar = await this.git.getConfigValue("core.commentChar");
+    if (!commentChar || commentChar === "auto") {
+      return "#";
+    }
+    return commentChar;
+  }
+
   /**
    * Commit with auto-suggestions based on changes
+   * @param {Object} options - { dryRun, print, output, verify }
    * @returns {Promise<void>}
    */
-  async auto() {
+  async auto(options = {}) {
     try {
       if (!(await this.git.isGitRepo())) {
         logger.error("Not a git repository");
         process.exit(1);
       }
 
+      this.startComposing(options);
+
       if (!(await this.git.hasStagedChanges())) {
         logger.warning("No staged changes");
         process.exit(1);
@@ -203,13 +996,60 @@ class CommitCLI {
       logger.info(`Files changed: ${changedFiles.length}`);
       logger.info(`+${diff.additions} -${diff.deletions}`);
 
-      const result = await this.prompt.runWithSuggestions(changedFiles);
+      const stagedDiff = await this.git.getStagedDiff();
+
+      const suggested = await this.suggestWithProvider(
+        stagedDiff,
+        changedFiles
+      );
+      if (suggested) {
+        if (!(await this.reportValidation(suggested))) {
+          process.exit(1);
+        }
+        if (!(await this.outputMessage(suggested, options))) {
+          await this.git.commit(suggested, {
+            noVerify: options.verify === false,
+          });
+          logger.success("Committed! 🎉");
+        }
+        return;
+      }
+
+      const files = parseDiff(stagedDiff);
+      const inferred = inferType(files);
+      const types = this.config.types || [];
+      const alias = inferred && this.formatter.resolveType(inferred.type);
+      const type = types.some((t) => t.value === alias) ? alias : null;
+      if (type) {
+        logger.info(`Suggested type: ${type} (${inferred.reason})`);
+      }
+
+      const subject = summarizeDiff(files, {
+        maxLength: this.config.rules.maxSubjectLength,
+      });
+      if (subject) {
+        logger.info(`Suggested subject: ${subject}`);
+      }
+
+      const result = await this.prompt.runWithSuggestions(changedFiles, {
+        weights: getLineWeights(diff),
+        type,
+        scope: await this.getRequiredScope(),
+        subject,
+        footer: await this.getIssueFooter(),
+      });
 
       if (!result) {
         process.exit(0);
       }
 
-      await this.git.commit(result.message);
+      if (await this.outputMessage(result.message, options)) {
+        return;
+      }
+
+      await this.git.commit(result.message, {
+        noVerify: options.verify === false,
+      });
       logger.success("Committed! 🎉");
     } catch (error) {
       logger.error("Error: " + error.message);
@@ -217,6 +1057,135 @@ class CommitCLI {
     }
   }
 
+  /**
+   * Build the footer for issue keys found in the current branch name
+   * @returns {Promise<string|null>} - e.g. "Refs PROJ-123"
+   */
+  async getIssueFooter() {
+    const { branchPatterns, footerToken } = this.config.issues || {};
+    const branch = await this.git.getCurrentBranch();
+    const keys = extractIssueKeys(branch, branchPatterns);
+
+    if (keys.length > 0) {
+      logger.info(`Issue from branch ${branch}: ${keys.join(", ")}`);
+    }
+    return formatIssueFooter(keys, footerToken);
+  }
+
+  /**
+   * Suggest the scope from the branch's issue keys when the header format
+   * needs one (allowEmptyScopes: false, e.g. the jira preset)
+   * @returns {Promise<string|null>} - e.g. "PROJ-123", or null
+   */
+  async getRequiredScope() {
+    if (this.config.allowEmptyScopes !== false) {
+      return null;
+    }
+
+    const branch = await this.git.getCurrentBranch();
+    const keys = extractIssueKeys(branch, this.config.issues.branchPatterns);
+    return keys.join(",") || null;
+  }
+
+  /**
+   * Offer messages from the configured suggestion provider
+   * Falls back to the offline suggestions (returns null) when no provider is
+   * configured, it fails, or none of its messages pass validation.
+   * @param {string} diff - Staged diff
+   * @param {string[]} changedFiles - Staged files
+   * @returns {Promise<string|null>} - Message picked by the user
+   */
+  async suggestWithProvider(diff, changedFiles) {
+    const settings = this.config.suggestions || {};
+    const provider = getProvider(settings, this.context.plugins);
+    if (!provider) {
+      return null;
+    }
+
+    logger.info(`Asking ${provider.name} for suggestions...`);
+
+    let result;
+    try {
+      result = await suggestMessages(provider, diff, {
+        settings,
+        validator: this.validator,
+        files: changedFiles,
+        branch: await this.git.getCurrentBranch(),
+        types: this.config.types.map((type) => type.value),
+        scopes: this.config.scopes,
+      });
+    } catch (error) {
+      logger.warning(`${error.message}. Using offline suggestions.`);
+      return null;
+    }
+
+    if (result.excluded.length > 0) {
+      logger.info(`Not sent: ${result.excluded.join(", ")}`);
+    }
+    if (result.rejected.length > 0) {
+      logger.info(`Discarded ${result.rejected.length} invalid suggestion(s)`);
+    }
+    if (result.candidates.length === 0) {
+      logger.warning("No valid suggestions. Using offline suggestions.");
+      return null;
+    }
+
+    return this.prompt.pickSuggestion(result.candidates);
+  }
+
+  /**
+   * Explain how the staged files map to a scope
+   * @returns {Promise<void>}
+   */
+  async explainScopes() {
+    try {
+      if (!(await this.git.isGitRepo())) {
+        logger.error("Not a git repository");
+        process.exit(1);
+      }
+
+      const changedFiles = await this.git.getStagedFiles();
+      if (changedFiles.length === 0) {
+        logger.warning("No staged changes");
+        process.exit(1);
+      }
+
+      const weights = getLineWeights(await this.git.getDiffSummary());
+      const { files, scores } = this.formatter.explainScope(
+        changedFiles,
+        weights
+      );
+
+      logger.title("Scope mapping");
+      files.forEach((entry) => {
+        const scope = entry.scope || "-";
+        const lines = formatLines(entry.weight);
+        logger.log(
+          `  ${entry.file} (${lines}) → ${scope}  ${describeMatch(entry)}`
+        );
+      });
+
+      if (scores.length > 0) {
+        logger.title("Scores");
+        logger.table(
+          Object.fromEntries(
+            scores.map((score) => [score.scope, formatLines(score.weight)])
+          )
+        );
+      }
+
+      const suggested = this.formatter.suggestScope(changedFiles, weights);
+      if (suggested) {
+        logger.success(`Suggested scope: ${suggested}`);
+      } else {
+        logger.warning("No scope could be suggested");
+      }
+    } catch (error) {
+      logger.error("Error: " + error.message);
+      process.exit(1);
+    }
+  }
+
   /**
    * Show help information
    */
@@ -259,4 +1228,81 @@ Examples:
   }
 }
 
+/**
+ * Count changed lines per file from a diff summary
+ * @param {Object|null} diff - Result of GitOperations.getDiffSummary
+ * @returns {Object} - file → added + deleted lines
+ */
+function getLineWeights(diff) {
+  if (!diff) return {};
+
+  return Object.fromEntries(
+    diff.files.map((f) => [f.file, (f.additions || 0) + (f.deletions || 0)])
+  );
+}
+
+/**
+ * Format a number of changed lines
+ * @param {number} count - Changed lines
+ * @returns {string}
+ */
+function formatLines(count) {
+  return `${count} line${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Describe why a file got its scope
+ * @param {Object} entry - File entry from explainScopes
+ * @returns {string}
+ */
+function describeMatch(entry) {
+  if (entry.source === "mapping") {
+    return `(scopeMapping #${entry.rule.index + 1} "${entry.rule.pattern}")`;
+  }
+  if (entry.source === "package") {
+    return `(package ${entry.package})`;
+  }
+  return "(no match)";
+}
+
+/**
+ * Describe which commits are being validated
+ * @param {Object} options - validateHistory options
+ * @param {number} count - Number of commits found
+ * @returns {string}
+ */
+function describeRange(options, count) {
+  const parts = [`${count} commit(s)`];
+
+  if (options.from) {
+    parts.push(`in ${options.from}..${options.to || "HEAD"}`);
+  } else if (options.to && options.to !== "HEAD") {
+    parts.push(`up to ${options.to}`);
+  }
+  if (options.since) parts.push(`since ${options.since}`);
+  if (options.until) parts.push(`until ${options.until}`);
+  if (options.author) parts.push(`by ${options.author}`);
+
+  return parts.join(" ");
+}
+
+/**
+ * Parse a --footer / --trailer option into a footer
+ * Accepts "Token: value", "Token #value" and git's "Token=value".
+ * @param {string} text - Option value
+ * @param {Parser} parser - Parser providing the footer syntax
+ * @returns {Object} - { token, separator, value }
+ */
+function parseFooterOption(text, parser) {
+  const normalized = text.trim().replace(/^([\w-]+)\s*=\s*/, "$1: ");
+  const [footer] = parser.parseFooters([normalized], 0);
+
+  if (!footer || !footer.value) {
+    throw new Error(
+      `Invalid footer "${text}". Use "Token: value" (e.g. "Refs: #123")`
+    );
+  }
+  return footer;
+}
+
 module.exports = CommitCLI;
@@ -4,22 +4,49 @@
 const inquirer = require("inquirer");
 const questions = require("./questions");
 const Formatter = require("../core/formatter");
+const Parser = require("../core/parser");
+const Validator = require("../core/validator");
 const logger = require("../utils/logger");
 
 class InteractivePrompt {
-  constructor(config = {}) {
+  /**
+   * @param {Object} config - Full config
+   * @param {Object} context - { plugins, headerFormat, validator }
+   */
+  constructor(config = {}, context = {}) {
     this.config = config;
-    this.formatter = new Formatter();
+    this.formatter = new Formatter(config, context);
+    this.parser = new Parser({ headerFormat: context.headerFormat });
+    this.validator =
+      context.validator || new Validator(config.rules, { ...context, config });
+    this.ask = inquirer.prompt;
+  }
+
+  /**
+   * Render the prompts on another stream (e.g. stderr while stdout is piped)
+   * @param {Object} output - Writable stream
+   */
+  setOutput(output) {
+    const ask = inquirer.createPromptModule({ output });
+    Object.entries(inquirer.prompt.prompts).forEach(([name, prompt]) =>
+      ask.registerPrompt(name, prompt)
+    );
+    this.ask = ask;
   }
 
   /**
    * Run full interactive mode
+   * @param {Object} suggestions - Pre-filled answers, e.g. { footer }
    * @returns {Promise<Object>} - Commit components
    */
-  async run() {
+  async run(suggestions = {}) {
     try {
-      const allQuestions = questions.getAll(this.config);
-      const answers = await inquirer.prompt(allQuestions);
+      const allQuestions = questions.getAll(
+        this.config,
+        this.validator,
+        suggestions
+      );
+      const answers = await this.ask(allQuestions);
 
       // Handle custom scope
       if (answers.customScope) {
@@ -34,13 +61,14 @@ class InteractivePrompt {
         body: answers.body?.trim() || null,
         breaking: answers.breaking || null,
         footer: answers.footer?.trim() || null,
+        fields: answers.fields || {},
       };
 
       // Format the message
       const message = this.formatter.format(components);
 
       // Show preview
-      logger.preview(message);
+      logger.preview(message, this.validator.parser);
 
       // Confirm
       if (!answers.confirmCommit) {
@@ -62,40 +90,34 @@ class InteractivePrompt {
   /**
    * Run quick mode with minimal prompts
    * @param {string} rawMessage - Optional pre-filled message
+   * @param {Object} suggestions - Pre-filled answers, e.g. { scope }
    * @returns {Promise<Object>} - Commit components
    */
-  async runQuick(rawMessage = null) {
+  async runQuick(rawMessage = null, suggestions = {}) {
     try {
       let answers;
 
       if (rawMessage) {
         // Auto-detect type and format
-        const { type, subject } = this.formatter.autoFormat(rawMessage);
-
-        // Confirm with user
-        const confirmation = await inquirer.prompt([
-          {
-            type: "confirm",
-            name: "useAutoFormat",
-            message: `Auto-formatted as: ${type}: ${subject}\nUse this?`,
-            default: true,
-          },
-        ]);
+        const detected = this.formatter.autoFormat(rawMessage);
+        answers = await this.confirmDetectedType(detected);
 
-        if (confirmation.useAutoFormat) {
-          answers = { type, subject };
-        } else {
+        if (!answers) {
           // Fall back to manual prompts
-          answers = await inquirer.prompt(questions.getQuick());
+          answers = await this.ask(
+            questions.getQuick(this.config, this.validator)
+          );
         }
       } else {
         // No message provided, ask questions
-        answers = await inquirer.prompt(questions.getQuick());
+        answers = await this.ask(
+          questions.getQuick(this.config, this.validator)
+        );
       }
 
       const components = {
         type: answers.type,
-        scope: null,
+        scope: await this.askRequiredScope(suggestions.scope),
         subject: answers.subject,
         body: null,
         breaking: null,
@@ -112,15 +134,80 @@ class InteractivePrompt {
     }
   }
 
+  /**
+   * Confirm the detected type, or let the user pick among the top
+   * candidates when the detection confidence is low
+   * @param {Object} detected - Result of Formatter.autoFormat
+   * @returns {Promise<Object|null>} - { type, subject } or null to ask manually
+   */
+  async confirmDetectedType(detected) {
+    const { type, subject, confidence, candidates } = detected;
+    const minConfidence = this.config.prompts?.minConfidence ?? 0.6;
+    const percent = (value) => `${Math.round(value * 100)}%`;
+
+    if (confidence >= minConfidence || candidates.length === 0) {
+      const reason = confidence
+        ? `${percent(confidence)} confidence`
+        : "no keywords matched";
+      const { useAutoFormat } = await this.ask([
+        {
+          type: "confirm",
+          name: "useAutoFormat",
+          message:
+            `Auto-formatted as: ${type}: ${subject} (${reason})` +
+            "\nUse this?",
+          default: true,
+        },
+      ]);
+      return useAutoFormat ? { type, subject } : null;
+    }
+
+    const { pickedType } = await this.ask([
+      {
+        type: "list",
+        name: "pickedType",
+        message: `Not sure about the type of "${subject}". Pick one:`,
+        choices: [
+          ...candidates.slice(0, 3).map((candidate) => ({
+            name:
+              `${candidate.type} (${percent(candidate.confidence)}, ` +
+              `${candidate.keywords.join(", ")})`,
+            value: candidate.type,
+          })),
+          { name: "other (choose manually)", value: null },
+        ],
+      },
+    ]);
+    return pickedType ? { type: pickedType, subject } : null;
+  }
+
+  /**
+   * Ask for the scope in modes that otherwise leave it out, when the header
+   * format needs one (allowEmptyScopes: false, e.g. jira issue keys)
+   * @param {string|null} suggested - Default answer
+   * @returns {Promise<string|null>} - Scope, or null when none is needed
+   */
+  async askRequiredScope(suggested = null) {
+    if (this.config.allowEmptyScopes !== false) {
+      return null;
+    }
+
+    const { scope } = await this.ask([
+      questions.getRequiredScope(this.config, suggested),
+    ]);
+    return scope;
+  }
+
   /**
    * Run amend mode to fix last commit
    * @param {string} currentMessage - Current commit message
+   * @param {Object} suggestions - Pre-filled answers, e.g. { scope }
    * @returns {Promise<Object>} - New commit message
    */
-  async runAmend(currentMessage) {
+  async runAmend(currentMessage, suggestions = {}) {
     try {
       const amendQuestions = questions.getAmend(currentMessage);
-      const answers = await inquirer.prompt(amendQuestions);
+      const answers = await this.ask(amendQuestions);
 
       if (answers.amendAction === "cancel") {
         logger.info("Amend cancelled");
@@ -129,12 +216,17 @@ class InteractivePrompt {
 
       let newMessage;
 
-      if (answers.amendAction === "reformat") {
+      const ast = this.parser.parse(currentMessage);
+
+      if (answers.amendAction === "reformat" && ast.header) {
+        // Already conventional: normalize it, keeping body and footers
+        newMessage = this.formatter.formatCommit(ast);
+      } else if (answers.amendAction === "reformat") {
         // Try to parse existing message and reformat
         const detected = this.formatter.autoFormat(currentMessage);
         newMessage = this.formatter.format({
           type: detected.type,
-          scope: null,
+          scope: await this.askRequiredScope(suggestions.scope),
           subject: detected.subject,
           body: null,
           breaking: null,
@@ -145,7 +237,7 @@ class InteractivePrompt {
         const detected = this.formatter.autoFormat(answers.editedMessage);
         newMessage = this.formatter.format({
           type: detected.type,
-          scope: null,
+          scope: await this.askRequiredScope(suggestions.scope),
           subject: detected.subject,
           body: null,
           breaking: null,
@@ -164,12 +256,38 @@ class InteractivePrompt {
   /**
    * Run with smart suggestions based on git changes
    * @param {Array} changedFiles - Changed file paths
+   * @param {Object} suggestions - { weights, type, scope, subject, footer }
+   *   where weights maps files to changed lines, type is the inferred commit
+   *   type, scope a required scope (e.g. issue keys), subject the proposed
+   *   subject line and footer the issue references
    * @returns {Promise<Object>} - Commit components
    */
-  async runWithSuggestions(changedFiles = []) {
+  async runWithSuggestions(changedFiles = [], suggestions = {}) {
+    const { weights = {}, ...prefilled } = suggestions;
     try {
-      // Suggest scope based on files
-      const suggestedScope = this.formatter.suggestScope(changedFiles);
+      // Suggest scope based on files, unless a required one is given
+      let suggestedScope =
+        prefilled.scope || this.formatter.suggestScope(changedFiles, weights);
+
+      // Let the user pick when the changes span several packages
+      const packageScopes = prefilled.scope
+        ? []
+        : this.formatter.getPackageScopes(changedFiles, weights);
+      if (packageScopes.length > 1) {
+        const { scopes } = await this.ask([
+          {
+            type: "checkbox",
+            name: "scopes",
+            message: "Changes span several packages. Which scopes apply?",
+            choices: packageScopes.map((scope) => ({
+              name: scope,
+              value: scope,
+              checked: true,
+            })),
+          },
+        ]);
+        suggestedScope = scopes.join(",") || null;
+      }
 
       if (suggestedScope) {
         logger.info(`Suggested scope based on changes: ${suggestedScope}`);
@@ -183,12 +301,16 @@ class InteractivePrompt {
         );
       }
 
-      const allQuestions = questions.getAll(this.config);
-      const answers = await inquirer.prompt(allQuestions);
+      const allQuestions = questions.getAll(
+        this.config,
+        this.validator,
+        prefilled
+      );
+      const answers = await this.ask(allQuestions);
 
       // Use suggested scope if user didn't select custom
       if (!answers.scope && suggestedScope) {
-        const useSuggested = await inquirer.prompt([
+        const useSuggested = await this.ask([
           {
             type: "confirm",
             name: "useSuggestedScope",
@@ -214,10 +336,11 @@ class InteractivePrompt {
         body: answers.body?.trim() || null,
         breaking: answers.breaking || null,
         footer: answers.footer?.trim() || null,
+        fields: answers.fields || {},
       };
 
       const message = this.formatter.format(components);
-      logger.preview(message);
+      logger.preview(message, this.validator.parser);
 
       if (!answers.confirmCommit) {
         logger.warning("Commit cancelled");
@@ -231,6 +354,34 @@ class InteractivePrompt {
     }
   }
 
+  /**
+   * Let the user pick one of the suggested messages
+   * @param {Array} candidates - [{ message, warnings }]
+   * @returns {Promise<string|null>} - Message, or null to use the prompts
+   */
+  async pickSuggestion(candidates) {
+    const { message } = await this.ask([
+      {
+        type: "list",
+        name: "message",
+        message: "Pick a suggested message:",
+        choices: [
+          ...candidates.map((candidate) => ({
+            name: candidate.message.split("\n")[0],
+            value: candidate.message,
+          })),
+          new inquirer.Separator(),
+          { name: "Write it myself", value: null },
+        ],
+      },
+    ]);
+
+    if (message) {
+      logger.preview(message, this.validator.parser);
+    }
+    return message;
+  }
+
   /**
    * Ask user to fix validation errors
    * @param {Array} errors - Validation errors
@@ -238,7 +389,7 @@ class InteractivePrompt {
    */
   async askToFixErrors(errors) {
     const question = questions.getValidationPrompt(errors);
-    const answer = await inquirer.prompt([question]);
+    const answer = await this.ask([question]);
     return answer.fixErrors;
   }
 }
@@ -3,31 +3,44 @@
 
 const defaults = require("../config/defaults");
 const Validator = require("../core/validator");
-
-const validator = new Validator();
+const { applyCase } = require("../core/rules");
+const { parseReferences } = require("../core/issues");
 
 const questions = {
   /**
    * Get questions for interactive mode
    * @param {Object} config - Configuration object
+   * @param {Validator} validator - Validator used for subject checks
+   * @param {Object} suggestions - Pre-filled answers: { type, scope, subject,
+   *   footer, fields }
    * @returns {Array} - Array of inquirer questions
    */
-  getAll(config = {}) {
+  getAll(
+    config = {},
+    validator = new Validator(config.rules, { config }),
+    suggestions = {}
+  ) {
     const types = config.types || defaults.types;
     const scopes = config.scopes || defaults.scopes;
     const allowCustomScopes = config.allowCustomScopes !== false;
-    const skipQuestions = config.skipQuestions || [];
+    const allowEmptyScopes = config.allowEmptyScopes !== false;
+    const skipQuestions = config.prompts?.skipQuestions || [];
+    const messages = {
+      ...defaults.prompts.messages,
+      ...config.prompts?.messages,
+    };
 
     const allQuestions = [
       // Type selection
       {
         type: "list",
         name: "type",
-        message: "Select the type of change:",
+        message: messages.type,
         choices: types.map((t) => ({
-          name: t.name,
+          name: t.value === suggestions.type ? `${t.name} (suggested)` : t.name,
           value: t.value,
         })),
+        default: suggestions.type,
         when: () => !skipQuestions.includes("type"),
       },
 
@@ -35,18 +48,27 @@ const questions = {
       {
         type: allowCustomScopes ? "autocomplete" : "list",
         name: "scope",
-        message: "What is the scope of this change? (optional)",
+        message: messages.scope,
         choices: () => {
           const choices = scopes.map((s) => ({ name: s, value: s }));
+          if (suggestions.scope && !scopes.includes(suggestions.scope)) {
+            choices.unshift({
+              name: `${suggestions.scope} (suggested)`,
+              value: suggestions.scope,
+            });
+          }
           if (allowCustomScopes) {
             choices.push({
               name: "custom (type your own)",
               value: "__custom__",
             });
           }
-          choices.push({ name: "empty (no scope)", value: null });
+          if (allowEmptyScopes) {
+            choices.push({ name: "empty (no scope)", value: null });
+          }
           return choices;
         },
+        default: suggestions.scope || undefined,
         when: () => !skipQuestions.includes("scope"),
       },
 
@@ -60,8 +82,8 @@ const questions = {
           if (!input || input.trim() === "") {
             return 'Scope cannot be empty. Use "empty" option if no scope needed.';
           }
-          if (!/^[a-z0-9-]+$/i.test(input)) {
-            return "Scope must contain only letters, numbers, and hyphens";
+          if (!/^[\w./,-]+$/.test(input)) {
+            return "Scope must contain only letters, numbers, and - _ . / ,";
           }
           return true;
         },
@@ -71,36 +93,32 @@ const questions = {
       {
         type: "input",
         name: "subject",
-        message: "Write a short description (imperative mood):",
-        validate: (input) => {
-          if (!input || input.trim() === "") {
-            return "Subject is required";
-          }
-          if (input.length > 72) {
-            return `Subject is too long (${input.length}/72 chars)`;
-          }
-          if (input.endsWith(".")) {
-            return "Subject should not end with a period";
-          }
-          if (!validator.isImperative(input)) {
-            return 'Use imperative mood (e.g., "add" not "adds" or "added")';
-          }
-          return true;
-        },
-        filter: (input) => {
-          // Auto-fix common issues
-          let fixed = input.trim();
-          fixed = fixed.charAt(0).toLowerCase() + fixed.slice(1);
-          fixed = fixed.replace(/\.$/, "");
-          return fixed;
-        },
+        message: messages.subject,
+        default: suggestions.subject || undefined,
+        validate: (input) => validateSubject(input, validator),
+        filter: (input) => formatSubject(input, validator),
       },
 
+      // Extra header template placeholders, e.g. {ticket}
+      ...(validator.parser.headerFormat.fields || []).map((field) => ({
+        type: "input",
+        name: `fields.${field.name}`,
+        message:
+          messages[field.name] ||
+          `Enter ${field.name}${field.optional ? " (optional)" : ""}:`,
+        default: (suggestions.fields || {})[field.name],
+        validate: (input) =>
+          field.optional ||
+          input.trim() !== "" ||
+          `${field.name} is required by the header format`,
+        filter: (input) => input.trim(),
+      })),
+
       // Body
       {
         type: "editor",
         name: "body",
-        message: "Provide a longer description (optional). Opens editor:",
+        message: messages.body,
         when: () => !skipQuestions.includes("body"),
       },
 
@@ -108,14 +126,15 @@ const questions = {
       {
         type: "confirm",
         name: "isBreaking",
-        message: "Is this a BREAKING CHANGE?",
+        message: messages.breaking,
         default: false,
         when: (answers) => {
-          const allowedTypes = config.allowBreakingChanges || ["feat", "fix"];
-          return (
-            !skipQuestions.includes("breaking") &&
-            allowedTypes.includes(answers.type)
-          );
+          const rule = validator.getRuleSettings().get("breaking-type-enum");
+          const allowed =
+            rule.level === "off" ||
+            !rule.value ||
+            rule.value.includes(answers.type);
+          return !skipQuestions.includes("breaking") && allowed;
         },
       },
 
@@ -137,19 +156,10 @@ const questions = {
       {
         type: "input",
         name: "footer",
-        message: 'Reference issues/PRs (e.g., "Closes #123, Refs #456"):',
+        message: messages.footer,
+        default: suggestions.footer || undefined,
         when: () => !skipQuestions.includes("footer"),
-        validate: (input) => {
-          if (!input || input.trim() === "") {
-            return true; // Optional
-          }
-          // Basic validation for issue references
-          const validPattern = /^(Closes|Fixes|Refs|Related to)\s+#\d+/i;
-          if (!validPattern.test(input)) {
-            return 'Format: "Closes #123" or "Fixes #123, Refs #456"';
-          }
-          return true;
-        },
+        validate: (input) => validateFooter(input, config.issues),
       },
 
       // Confirmation
@@ -166,15 +176,19 @@ const questions = {
 
   /**
    * Get questions for quick mode (minimal)
+   * @param {Object} config - Configuration object
+   * @param {Validator} validator - Validator used for subject checks
    * @returns {Array} - Minimal question set
    */
-  getQuick() {
+  getQuick(config = {}, validator = new Validator(config.rules, { config })) {
+    const types = config.types || defaults.types;
+
     return [
       {
         type: "list",
         name: "type",
         message: "Type:",
-        choices: defaults.types.slice(0, 5).map((t) => ({
+        choices: types.map((t) => ({
           name: t.value,
           value: t.value,
         })),
@@ -183,16 +197,43 @@ const questions = {
         type: "input",
         name: "subject",
         message: "Subject:",
-        validate: (input) => {
-          if (!input || input.trim() === "") {
-            return "Subject is required";
-          }
-          return true;
-        },
+        validate: (input) => validateSubject(input, validator),
+        filter: (input) => formatSubject(input, validator),
       },
     ];
   },
 
+  /**
+   * Get the scope question for modes that otherwise skip the scope, asked
+   * when the header format needs one (allowEmptyScopes: false)
+   * @param {Object} config - Configuration object
+   * @param {string|null} suggested - Default answer (e.g. branch issue keys)
+   * @returns {Object} - Scope question
+   */
+  getRequiredScope(config = {}, suggested = null) {
+    const messages = {
+      ...defaults.prompts.messages,
+      ...config.prompts?.messages,
+    };
+
+    return {
+      type: "input",
+      name: "scope",
+      message: messages.scope,
+      default: suggested || undefined,
+      validate: (input) => {
+        if (!input || input.trim() === "") {
+          return "Scope is required";
+        }
+        if (!/^[\w./, -]+$/.test(input)) {
+          return "Scope must contain only letters, numbers, and - _ . / ,";
+        }
+        return true;
+      },
+      filter: (input) => input.trim(),
+    };
+  },
+
   /**
    * Get question for amend mode
    * @param {string} currentMessage - Current commit message
@@ -237,4 +278,56 @@ const questions = {
   },
 };
 
+/**
+ * Check a subject with the configured subject rules
+ * @param {string} input - Subject typed by the user
+ * @param {Validator} validator - Validator to use
+ * @returns {boolean|string} - True or the first error
+ */
+function validateSubject(input, validator) {
+  if (!input || input.trim() === "") {
+    return "Subject is required";
+  }
+
+  const errors = validator.validateSubject(input);
+  return errors.length > 0 ? errors[0] : true;
+}
+
+/**
+ * Auto-fix common subject issues (case, trailing period)
+ * @param {string} input - Subject typed by the user
+ * @param {Validator} validator - Validator providing the subject-case setting
+ * @returns {string}
+ */
+function formatSubject(input, validator) {
+  const subjectCase = validator.getRuleSettings().get("subject-case");
+  let fixed = input.trim().replace(/\.$/, "");
+
+  if (subjectCase.level !== "off" && subjectCase.when === "always") {
+    fixed = applyCase(fixed, subjectCase.value);
+  }
+  return fixed;
+}
+
+/**
+ * Check the issue references typed in the footer question
+ * @param {string} input - Footer typed by the user
+ * @param {Object} issues - The config's "issues" settings
+ * @returns {boolean|string} - True or a hint on the expected format
+ */
+function validateFooter(input, issues = {}) {
+  if (!input || input.trim() === "") {
+    return true; // Optional
+  }
+
+  const { invalid } = parseReferences(input, issues.referenceFormats);
+  if (invalid.length > 0) {
+    return (
+      `Not an issue reference: "${invalid[0]}". ` +
+      'Format: "Closes #123", "Refs PROJ-123" or "Fixes #1, Refs #2"'
+    );
+  }
+  return true;
+}
+
 module.exports = questions;
@@ -0,0 +1,103 @@
+// src/utils/helpers.js
+// Small shared utilities
+
+const SCISSORS = "------------------------ >8 ------------------------";
+
+/**
+ * Strip git comment lines and the scissors section from a message file
+ * @param {string} message - Raw content of the commit message file
+ * @param {string} commentChar - Comment character (core.commentChar)
+ * @returns {string} - Cleaned commit message
+ */
+function stripCommitComments(message, commentChar = "#") {
+  const lines = message.replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+
+  for (const line of lines) {
+    if (line === `${commentChar} ${SCISSORS}`) {
+      break;
+    }
+    if (line.startsWith(commentChar)) {
+      continue;
+    }
+    kept.push(line.replace(/\s+$/, ""));
+  }
+
+  return kept.join("\n").trim();
+}
+
+/**
+ * Check if a message was generated by git itself (merge, fixup, revert...)
+ * @param {string} message - Commit message
+ * @returns {boolean}
+ */
+function isAutoGeneratedMessage(message) {
+  const patterns = [
+    /^Merge /,
+    /^(fixup|squash|amend)! /,
+    /^Revert ".+"/,
+  ];
+
+  return patterns.some((pattern) => pattern.test(message));
+}
+
+/**
+ * Quote a string for use in a POSIX shell script
+ * @param {string} value - Value to quote
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Convert a glob to a regular expression matching slash-separated paths
+ * Supports "*" (within a segment), "**" (any depth) and "?".
+ * @param {string} glob - Glob pattern (e.g. "packages/*", "apps/**")
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories, a trailing "**" anything
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Read a stream to the end, e.g. a message piped to stdin
+ * @param {Object} stream - Readable stream
+ * @returns {Promise<string>}
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => (data += chunk));
+    stream.on("end", () => resolve(data));
+    stream.on("error", reject);
+  });
+}
+
+module.exports = {
+  readStream,
+  stripCommitComments,
+  isAutoGeneratedMessage,
+  shellQuote,
+  globToRegExp,
+};
@@ -3,30 +3,48 @@
 
 const chalk = require("chalk");
 const boxen = require("boxen");
+const Parser = require("../core/parser");
+
+const defaultParser = new Parser();
 
 class Logger {
+  constructor() {
+    this.stream = "stdout";
+  }
+
+  /**
+   * Send all output to stderr, e.g. while stdout carries a commit message
+   */
+  useStderr() {
+    this.stream = "stderr";
+  }
+
+  write(...args) {
+    (this.stream === "stderr" ? console.error : console.log)(...args);
+  }
+
   success(message) {
-    console.log(chalk.green("✓"), chalk.green(message));
+    this.write(chalk.green("✓"), chalk.green(message));
   }
 
   error(message) {
-    console.log(chalk.red("✗"), chalk.red(message));
+    this.write(chalk.red("✗"), chalk.red(message));
   }
 
   warning(message) {
-    console.log(chalk.yellow("⚠"), chalk.yellow(message));
+    this.write(chalk.yellow("⚠"), chalk.yellow(message));
   }
 
   info(message) {
-    console.log(chalk.blue("ℹ"), chalk.blue(message));
+    this.write(chalk.blue("ℹ"), chalk.blue(message));
   }
 
   log(message) {
-    console.log(message);
+    this.write(message);
   }
 
   title(message) {
-    console.log(chalk.bold.cyan(`\n${message}\n`));
+    this.write(chalk.bold.cyan(`\n${message}\n`));
   }
 
   box(content, options = {}) {
@@ -37,33 +55,42 @@ class Logger {
       borderColor: "cyan",
       ...options,
     };
-    console.log(boxen(content, defaultOptions));
+    this.write(boxen(content, defaultOptions));
   }
 
-  preview(commitMessage) {
-    const lines = commitMessage.split("\n");
-    const formatted = lines.map((line, index) => {
+  /**
+   * Show a commit message with its header, footers and breaking changes
+   * highlighted
+   * @param {string} commitMessage - Commit message
+   * @param {Parser} parser - Parser for the configured header format
+   */
+  preview(commitMessage, parser = defaultParser) {
+    const ast = parser.parse(commitMessage);
+    const footerLines = new Map(
+      ast.footers.map((footer) => [footer.position.line - 1, footer])
+    );
+    let inBreakingFooter = false;
+
+    const formatted = ast.lines.map((line, index) => {
       if (index === 0) {
-        // First line - type, scope, subject
-        const match = line.match(/^(\w+)(\([\w-]+\))?:\s*(.+)$/);
-        if (match) {
-          const [, type, scope, subject] = match;
-          return (
-            chalk.cyan.bold(type) +
-            (scope ? chalk.yellow(scope) : "") +
-            chalk.white(":") +
-            " " +
-            chalk.white(subject)
-          );
-        }
-        return chalk.white(line);
-      } else if (line.startsWith("BREAKING CHANGE:")) {
-        return chalk.red.bold(line);
-      } else if (line.match(/^(Closes|Fixes|Refs|Related to)\s+#\d+/)) {
-        return chalk.green(line);
-      } else {
-        return chalk.gray(line);
+        return this.highlightHeader(ast.header, line);
       }
+
+      const footer = footerLines.get(index);
+      if (footer) {
+        inBreakingFooter = parser.isBreakingToken(footer.token);
+        const token = footer.token + footer.separator;
+        return inBreakingFooter
+          ? chalk.red.bold(line)
+          : chalk.green(token) + chalk.white(line.slice(token.length));
+      }
+
+      // Continuation lines of a multi-line footer
+      if (ast.footers.length > 0 && index >= ast.footers[0].position.line) {
+        return inBreakingFooter ? chalk.red(line) : chalk.white(line);
+      }
+
+      return chalk.gray(line);
     });
 
     this.box(formatted.join("\n"), {
@@ -72,28 +99,89 @@ class Logger {
     });
   }
 
+  /**
+   * Color the type, scope and subject of a header line where they appear
+   * @param {Object|null} header - Header node from the parser
+   * @param {string} line - Header line
+   * @returns {string}
+   */
+  highlightHeader(header, line) {
+    if (!header) {
+      return chalk.white(line);
+    }
+
+    // Punctuation between the parts; "!" marks a breaking change
+    const other = (text) =>
+      text
+        .split(/(!)/)
+        .map((part) =>
+          part === "!" && header.breaking
+            ? chalk.red.bold(part)
+            : chalk.white(part)
+        )
+        .join("");
+
+    const parts = [
+      ["type", chalk.cyan.bold],
+      ["scope", chalk.yellow],
+      ["subject", chalk.white],
+    ]
+      .map(([name, color]) => ({
+        text: header[name],
+        start: header.position[name] ? header.position[name].column - 1 : -1,
+        color,
+      }))
+      .filter(
+        ({ text, start }) => text && start >= 0 && line.startsWith(text, start)
+      )
+      .sort((a, b) => a.start - b.start);
+
+    let result = "";
+    let index = 0;
+    parts.forEach(({ text, start, color }) => {
+      if (start < index) return;
+      result += other(line.slice(index, start)) + color(text);
+      index = start + text.length;
+    });
+
+    return result + other(line.slice(index));
+  }
+
   table(data) {
     const maxKeyLength = Math.max(...Object.keys(data).map((k) => k.length));
 
-    console.log();
+    this.write();
     Object.entries(data).forEach(([key, value]) => {
       const paddedKey = key.padEnd(maxKeyLength);
-      console.log(`  ${chalk.cyan(paddedKey)} : ${chalk.white(value)}`);
+      this.write(`  ${chalk.cyan(paddedKey)} : ${chalk.white(value)}`);
     });
-    console.log();
+    this.write();
   }
 
   divider() {
-    console.log(chalk.gray("─".repeat(50)));
+    this.write(chalk.gray("─".repeat(50)));
+  }
+
+  /**
+   * Print validation problems with the rule that reported them
+   * @param {Array} problems - { rule, level, message }
+   */
+  problems(problems) {
+    problems.forEach(({ rule, level, message }) => {
+      const color = level === "error" ? chalk.red : chalk.yellow;
+      this.write(
+        `  ${color("•")} ${color(message)} ${chalk.gray(`[${rule}]`)}`
+      );
+    });
   }
 
   list(items, options = {}) {
     const { color = "white", symbol = "•" } = options;
-    console.log();
+    this.write();
     items.forEach((item) => {
-      console.log(`  ${chalk[color](symbol)} ${chalk[color](item)}`);
+      this.write(`  ${chalk[color](symbol)} ${chalk[color](item)}`);
     });
-    console.log();
+    this.write();
   }
 
   spinner(text) {
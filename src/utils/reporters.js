@@ -0,0 +1,183 @@
+// src/utils/reporters.js
+// Machine-readable validation reports (JSON, JUnit XML, SARIF, GitHub)
+
+const pkg = require("../../package.json");
+
+const reporters = {
+  /**
+   * JSON report with one record per commit
+   * @param {Array} records - Validation records
+   * @param {Object} summary - { total, valid, invalid, skipped }
+   * @returns {string}
+   */
+  json(records, summary) {
+    return JSON.stringify({ summary, commits: records }, null, 2);
+  },
+
+  /**
+   * JUnit XML report, one test case per commit
+   * @param {Array} records - Validation records
+   * @param {Object} summary - { total, valid, invalid, skipped }
+   * @returns {string}
+   */
+  junit(records, summary) {
+    const counts = [
+      `tests="${summary.total}"`,
+      `failures="${summary.invalid}"`,
+      `skipped="${summary.skipped}"`,
+    ].join(" ");
+
+    const cases = records.map((record) => {
+      const name = escapeXml(`${record.hash} ${record.header}`);
+      const lines = [`    <testcase classname="commits" name="${name}">`];
+
+      const errors = record.violations.filter((v) => v.severity === "error");
+      if (record.skipped) {
+        lines.push("      <skipped/>");
+      } else if (errors.length > 0) {
+        const message = escapeXml(errors[0].message);
+        const details = escapeXml(
+          errors.map((v) => `[${v.rule}] ${v.message}`).join("\n")
+        );
+        lines.push(`      <failure message="${message}">${details}</failure>`);
+      }
+
+      lines.push("    </testcase>");
+      return lines.join("\n");
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="commit-messages" ${counts}>`,
+      `  <testsuite name="commit-messages" ${counts}>`,
+      ...cases,
+      "  </testsuite>",
+      "</testsuites>",
+    ].join("\n");
+  },
+
+  /**
+   * SARIF 2.1.0 report
+   * @param {Array} records - Validation records
+   * @returns {string}
+   */
+  sarif(records) {
+    const ruleIds = new Set();
+    const results = [];
+
+    records.forEach((record) => {
+      record.violations.forEach((violation) => {
+        ruleIds.add(violation.rule);
+        results.push({
+          ruleId: violation.rule,
+          level: violation.severity === "error" ? "error" : "warning",
+          message: { text: `${record.hash}: ${violation.message}` },
+          locations: [
+            {
+              logicalLocations: [
+                {
+                  name: record.hash,
+                  fullyQualifiedName: record.fullHash || record.hash,
+                  kind: "commit",
+                },
+              ],
+            },
+          ],
+          properties: {
+            commit: record.hash,
+            author: record.author,
+            header: record.header,
+          },
+        });
+      });
+    });
+
+    return JSON.stringify(
+      {
+        $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+        version: "2.1.0",
+        runs: [
+          {
+            tool: {
+              driver: {
+                name: pkg.name,
+                version: pkg.version,
+                informationUri: pkg.homepage,
+                rules: [...ruleIds].map((id) => ({
+                  id,
+                  shortDescription: { text: id },
+                })),
+              },
+            },
+            results,
+          },
+        ],
+      },
+      null,
+      2
+    );
+  },
+
+  /**
+   * GitHub Actions workflow commands (annotations)
+   * @param {Array} records - Validation records
+   * @param {Object} summary - { total, valid, invalid, skipped }
+   * @returns {string}
+   */
+  github(records, summary) {
+    const lines = [];
+
+    records.forEach((record) => {
+      record.violations.forEach((violation) => {
+        const command = violation.severity === "error" ? "error" : "warning";
+        const title = escapeProperty(
+          `Commit ${record.hash} (${violation.rule})`
+        );
+        const message = escapeData(`${record.header}\n${violation.message}`);
+        lines.push(`::${command} title=${title}::${message}`);
+      });
+    });
+
+    const counts = `${summary.valid} valid, ${summary.invalid} invalid, ${summary.skipped} skipped`;
+    lines.push(`::notice title=Commit validation::${counts}`);
+
+    return lines.join("\n");
+  },
+};
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Escape workflow command data
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeData(text) {
+  return String(text)
+    .replace(/%/g, "%25")
+    .replace(/\r/g, "%0D")
+    .replace(/\n/g, "%0A");
+}
+
+/**
+ * Escape workflow command property values
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeProperty(text) {
+  return escapeData(text).replace(/:/g, "%3A").replace(/,/g, "%2C");
+}
+
+module.exports = reporters;
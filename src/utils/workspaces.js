@@ -0,0 +1,180 @@
+// src/utils/workspaces.js
+// Discover monorepo packages (npm/yarn workspaces, pnpm, lerna) for scopes
+
+const fs = require("fs").promises;
+const path = require("path");
+const { defaultLoaders } = require("cosmiconfig");
+const { globToRegExp } = require("./helpers");
+
+// Directories never searched for packages
+const IGNORED_DIRS = ["node_modules", ".git"];
+
+// How deep "**" patterns are followed
+const MAX_DEPTH = 8;
+
+/**
+ * Read the workspace globs declared in the repository root
+ * @param {string} root - Repository root
+ * @returns {Promise<string[]>} - Globs, negated ones start with "!"
+ */
+async function readWorkspaceGlobs(root) {
+  const globs = [];
+
+  const pkg = await readFile(path.join(root, "package.json"), JSON.parse);
+  if (pkg && pkg.workspaces) {
+    // npm/yarn: an array, or { packages: [...] } for yarn
+    const workspaces = Array.isArray(pkg.workspaces)
+      ? pkg.workspaces
+      : pkg.workspaces.packages || [];
+    globs.push(...workspaces);
+  }
+
+  const pnpmFile = path.join(root, "pnpm-workspace.yaml");
+  const pnpm = await readFile(pnpmFile, (content) =>
+    defaultLoaders[".yaml"](pnpmFile, content)
+  );
+  if (pnpm && Array.isArray(pnpm.packages)) {
+    globs.push(...pnpm.packages);
+  }
+
+  const lerna = await readFile(path.join(root, "lerna.json"), JSON.parse);
+  if (lerna) {
+    globs.push(...(lerna.packages || ["packages/*"]));
+  }
+
+  return [...new Set(globs.map((glob) => glob.replace(/\/+$/, "")))];
+}
+
+/**
+ * Find the packages of a monorepo
+ * @param {string} root - Repository root
+ * @returns {Promise<Array>} - [{ name, scope, dir }] sorted by dir
+ */
+async function findWorkspacePackages(root) {
+  const globs = await readWorkspaceGlobs(root);
+  const include = globs.filter((glob) => !glob.startsWith("!"));
+  const exclude = globs
+    .filter((glob) => glob.startsWith("!"))
+    .map((glob) => globToRegExp(glob.slice(1)));
+
+  const dirs = new Set();
+  for (const glob of include) {
+    const matcher = globToRegExp(glob);
+    const segments = glob.split("/");
+    const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment));
+    const base =
+      firstGlob === -1 ? glob : segments.slice(0, firstGlob).join("/");
+    const depth = glob.includes("**")
+      ? MAX_DEPTH
+      : segments.length - (firstGlob === -1 ? segments.length : firstGlob);
+
+    const candidates = await listDirs(root, base, depth);
+    candidates
+      .filter((dir) => matcher.test(dir))
+      .filter((dir) => !exclude.some((pattern) => pattern.test(dir)))
+      .forEach((dir) => dirs.add(dir));
+  }
+
+  const packages = [];
+  for (const dir of [...dirs].sort()) {
+    const pkg = await readFile(
+      path.join(root, dir, "package.json"),
+      JSON.parse
+    );
+    if (pkg) {
+      const name = pkg.name || path.basename(dir);
+      packages.push({ name, scope: toScope(name), dir });
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Group files by the package that owns them (deepest package dir wins)
+ * @param {string[]} files - Paths relative to the repository root
+ * @param {Array} packages - Packages from findWorkspacePackages
+ * @param {Object} weights - Changed lines per file (defaults to 1)
+ * @returns {Array} - [{ scope, name, files, weight }] heaviest first
+ */
+function groupFilesByPackage(files, packages, weights = {}) {
+  const byDepth = [...packages].sort((a, b) => b.dir.length - a.dir.length);
+  const groups = new Map();
+
+  files.forEach((file) => {
+    const owner = byDepth.find((pkg) => file.startsWith(`${pkg.dir}/`));
+    if (!owner) return;
+
+    if (!groups.has(owner.scope)) {
+      groups.set(owner.scope, {
+        scope: owner.scope,
+        name: owner.name,
+        files: [],
+        weight: 0,
+      });
+    }
+    const group = groups.get(owner.scope);
+    group.files.push(file);
+    group.weight += Math.max(weights[file] || 0, 1);
+  });
+
+  return [...groups.values()].sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Turn a package name into a scope ("@acme/ui-kit" → "ui-kit")
+ * @param {string} name - Package name
+ * @returns {string}
+ */
+function toScope(name) {
+  return name.startsWith("@") ? name.split("/")[1] || name : name;
+}
+
+/**
+ * List directories below a base directory, relative to the root
+ * @param {string} root - Repository root
+ * @param {string} base - Directory to start from (relative)
+ * @param {number} depth - Levels to descend
+ * @returns {Promise<string[]>}
+ */
+async function listDirs(root, base, depth) {
+  const found = [];
+  if (base) found.push(base);
+  if (depth <= 0) return found;
+
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(root, base), { withFileTypes: true });
+  } catch (error) {
+    return found;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || IGNORED_DIRS.includes(entry.name)) continue;
+    if (entry.name.startsWith(".")) continue;
+
+    const dir = base ? `${base}/${entry.name}` : entry.name;
+    found.push(...(await listDirs(root, dir, depth - 1)));
+  }
+
+  return found;
+}
+
+/**
+ * Read and parse a file, returning null when it is missing or invalid
+ * @param {string} filepath - File to read
+ * @param {Function} parse - Parser for the content
+ * @returns {Promise<*>}
+ */
+async function readFile(filepath, parse) {
+  try {
+    return parse(await fs.readFile(filepath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  findWorkspacePackages,
+  groupFilesByPackage,
+};
@@ -0,0 +1,26 @@
+// tests/helpers/diff.js
+// Build git diff text for tests of the diff based features
+
+/**
+ * Build a git diff for a file
+ * @param {string} file - Path on the new side
+ * @param {string[]} lines - Hunk lines, each starting with "+", "-" or " "
+ * @param {Object} options - { status, from, context }: status is "modified",
+ *   "added" or "renamed", from the old path of a rename, context the text
+ *   after the hunk header
+ * @returns {string}
+ */
+const diffFor = (file, lines, { status = "modified", from, context } = {}) => {
+  const header = [`diff --git a/${from || file} b/${file}`];
+  if (status === "added") header.push("new file mode 100644");
+  if (status === "renamed") {
+    header.push(`rename from ${from}`, `rename to ${file}`);
+  }
+  if (lines.length === 0) return header.join("\n");
+  header.push(`--- ${status === "added" ? "/dev/null" : `a/${from || file}`}`);
+  header.push(`+++ b/${file}`);
+  const hunk = context ? `@@ -1,2 +1,2 @@ ${context}` : "@@ -1,2 +1,2 @@";
+  return [...header, hunk, ...lines].join("\n");
+};
+
+module.exports = { diffFor };
@@ -0,0 +1,92 @@
+// tests/unit/changelog.test.js
+// Unit tests for Changelog class
+
+const Changelog = require("../../src/core/changelog");
+
+describe("Changelog", () => {
+  let changelog;
+
+  const commits = [
+    { hash: "a1b2c3d", message: "feat(auth): add login" },
+    { hash: "b2c3d4e", message: "fix: handle empty password" },
+    {
+      hash: "c3d4e5f",
+      message:
+        "feat(api): remove v1 endpoints\n\nBREAKING CHANGE: v1 routes are gone\nCloses #12",
+    },
+    { hash: "d4e5f6a", message: "not a conventional commit" },
+  ];
+
+  beforeEach(() => {
+    changelog = new Changelog();
+  });
+
+  describe("build()", () => {
+    it("should group commits by type in config order", () => {
+      const { groups, skipped } = changelog.build(commits);
+
+      expect(groups.map((g) => g.type)).toEqual(["feat", "fix"]);
+      expect(groups[0].title).toBe("Features");
+      expect(groups[0].entries).toHaveLength(2);
+      expect(skipped).toBe(1);
+    });
+
+    it("should collect breaking change notes", () => {
+      const { breaking } = changelog.build(commits);
+
+      expect(breaking).toEqual([
+        { scope: "api", subject: "v1 routes are gone", hash: "c3d4e5f" },
+      ]);
+    });
+  });
+
+  describe("render()", () => {
+    it("should render a markdown section", () => {
+      const section = changelog.render("1.1.0", commits, {
+        date: "2024-01-02",
+      });
+
+      expect(section).toBe(`## 1.1.0 (2024-01-02)
+
+### ⚠ BREAKING CHANGES
+
+* **api:** v1 routes are gone (c3d4e5f)
+
+### ✨ Features
+
+* **auth:** add login (a1b2c3d)
+* **api:** remove v1 endpoints (c3d4e5f)
+
+### 🐛 Bug Fixes
+
+* handle empty password (b2c3d4e)
+`);
+    });
+  });
+
+  describe("prepend()", () => {
+    const section = "## 1.1.0 (2024-01-02)\n\n### Features\n\n* new\n";
+
+    it("should create a new changelog", () => {
+      expect(changelog.prepend(null, section)).toBe(
+        `# Changelog\n\n${section}`
+      );
+    });
+
+    it("should keep the title and older entries", () => {
+      const existing = "# Changelog\n\n## 1.0.0 (2023-12-01)\n\n* old\n";
+
+      expect(changelog.prepend(existing, section)).toBe(
+        `# Changelog\n\n${section}\n## 1.0.0 (2023-12-01)\n\n* old\n`
+      );
+    });
+
+    it("should refuse to add a version twice", () => {
+      const existing = "# Changelog\n\n## 1.1.0 (2024-01-01)\n";
+
+      expect(() => changelog.prepend(existing, section)).toThrow(
+        "already contains"
+      );
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// tests/unit/cli.test.js
+// Unit tests for building and outputting messages from command line options
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CommitCLI = require("../../src/index");
+
+describe("CommitCLI.buildMessage()", () => {
+  const cli = new CommitCLI();
+
+  it("should build a message from type, subject and extras", async () => {
+    const message = await cli.buildMessage({
+      type: "feat",
+      scope: "api",
+      subject: "add login",
+      body: "Adds the login endpoint.",
+      breaking: "sessions are no longer cookies",
+      footer: ["Refs: #12"],
+      trailer: ["Signed-off-by=Jane <jane@example.com>", "Closes #3"],
+    });
+
+    expect(message).toBe(
+      [
+        "feat(api)!: add login",
+        "",
+        "Adds the login endpoint.",
+        "",
+        "BREAKING CHANGE: sessions are no longer cookies",
+        "Refs: #12",
+        "Signed-off-by: Jane <jane@example.com>",
+        "Closes #3",
+      ].join("\n")
+    );
+  });
+
+  it("should keep a conventional message as written", async () => {
+    const message = "fix(ui): align button\n\nSome body\n\nRefs: #4";
+
+    expect(await cli.buildMessage({ message })).toBe(message);
+    expect(await cli.buildMessage({ message, footer: ["Closes #5"] })).toBe(
+      `${message}\nCloses #5`
+    );
+  });
+
+  it("should auto-format other messages", async () => {
+    expect(
+      await cli.buildMessage({ message: "Update docs.", type: "docs" })
+    ).toBe("docs: update docs");
+  });
+
+  it("should reject malformed footers and missing input", async () => {
+    await expect(
+      cli.buildMessage({ type: "fix", subject: "x", footer: ["nope"] })
+    ).rejects.toThrow('Invalid footer "nope"');
+    await expect(cli.buildMessage({ type: "fix" })).rejects.toThrow(
+      "Nothing to commit"
+    );
+  });
+});
+
+describe("CommitCLI.outputMessage()", () => {
+  const cli = new CommitCLI();
+  const message = "feat: add dark mode";
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should print the message for --print and --dry-run", async () => {
+    const write = jest
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    expect(await cli.outputMessage(message, { print: true })).toBe(true);
+    expect(await cli.outputMessage(message, { dryRun: true })).toBe(true);
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(write).toHaveBeenCalledWith(`${message}\n`);
+  });
+
+  it("should write the message to --output", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-output-"));
+    const output = path.join(dir, "MSG");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    expect(await cli.outputMessage(message, { output })).toBe(true);
+    expect(fs.readFileSync(output, "utf8")).toBe(`${message}\n`);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should leave committing to the caller otherwise", async () => {
+    expect(await cli.outputMessage(message, {})).toBe(false);
+  });
+});
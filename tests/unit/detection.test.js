@@ -0,0 +1,80 @@
+// tests/unit/detection.test.js
+// Unit tests for keyword type detection
+
+const { stem, rankTypes } = require("../../src/core/detection");
+const Formatter = require("../../src/core/formatter");
+const defaults = require("../../src/config/defaults");
+
+describe("stem()", () => {
+  it("should reduce inflected words to a common stem", () => {
+    expect(["fix", "fixes", "fixed", "fixing"].map(stem)).toEqual([
+      "fix",
+      "fix",
+      "fix",
+      "fix",
+    ]);
+    expect(stem("updated")).toBe(stem("update"));
+    expect(stem("dependencies")).toBe(stem("dependency"));
+    expect(stem("address")).toBe("address");
+  });
+});
+
+describe("rankTypes()", () => {
+  const keywords = defaults.autoDetect;
+
+  it("should only match whole words", () => {
+    expect(rankTypes("address review feedback", keywords)).toEqual([]);
+    expect(rankTypes("added login", keywords)[0].type).toBe("feat");
+  });
+
+  it("should rank candidates with a confidence", () => {
+    const [first, second] = rankTypes("add tests for the parser", keywords);
+
+    expect(first).toMatchObject({ type: "feat", confidence: 0.44 });
+    expect(second).toMatchObject({ type: "test", keywords: ["test"] });
+  });
+
+  it("should not be sure about a single weak keyword", () => {
+    const [weak] = rankTypes("login page bug", keywords);
+    const [strong] = rankTypes("fix crash, resolve login bug", keywords);
+
+    expect(weak).toMatchObject({ type: "fix", confidence: 0.33 });
+    expect(strong).toMatchObject({ type: "fix", confidence: 1 });
+  });
+
+  it("should match multi-word keywords in sequence", () => {
+    const ranked = rankTypes("clean up old flags", { chore: ["clean up"] });
+    expect(ranked[0]).toMatchObject({ type: "chore", confidence: 0.67 });
+    expect(rankTypes("up and clean", { chore: ["clean up"] })).toEqual([]);
+  });
+});
+
+describe("Formatter type detection", () => {
+  it("should use the configured keywords", () => {
+    const formatter = new Formatter({
+      types: [...defaults.types, { value: "i18n", name: "i18n" }],
+      autoDetect: { i18n: ["translate"] },
+    });
+
+    expect(formatter.detectType("translated the settings page")).toBe("i18n");
+    expect(formatter.detectType("fix login")).toBeNull();
+  });
+
+  it("should ignore keywords of types that are not configured", () => {
+    const formatter = new Formatter({
+      types: [{ value: "fix", name: "fix" }],
+    });
+
+    expect(formatter.rankTypes("add tests and fix bug")).toEqual([
+      expect.objectContaining({ type: "fix", confidence: 0.67 }),
+    ]);
+  });
+
+  it("should report low confidence for ambiguous messages", () => {
+    const result = new Formatter(defaults).autoFormat("fix deps update");
+
+    expect(result.type).toBe("fix");
+    expect(result.confidence).toBe(0.33);
+    expect(result.candidates.map((c) => c.type)).toEqual(["fix", "chore"]);
+  });
+});
@@ -0,0 +1,108 @@
+// tests/unit/emoji.test.js
+// Unit tests for emoji headers
+
+const { splitEmoji, emojiMatchesType } = require("../../src/core/emoji");
+const Formatter = require("../../src/core/formatter");
+const Validator = require("../../src/core/validator");
+const Changelog = require("../../src/core/changelog");
+const defaults = require("../../src/config/defaults");
+
+const components = { type: "feat", scope: "ui", subject: "add dark mode" };
+
+/**
+ * Create a formatter with emoji enabled
+ * @param {string} emojiStyle - Emoji style
+ * @returns {Formatter}
+ */
+function emojiFormatter(emojiStyle) {
+  return new Formatter({ prompts: { enableEmoji: true, emojiStyle } });
+}
+
+describe("emoji helpers", () => {
+  it("should split a leading emoji or shortcode", () => {
+    expect(splitEmoji("✨ feat: add")).toEqual({
+      emoji: "✨",
+      prefix: "✨ ",
+      rest: "feat: add",
+    });
+    expect(splitEmoji(":bug: fix: crash").emoji).toBe(":bug:");
+    expect(splitEmoji("feat: add")).toBeNull();
+  });
+
+  it("should match unicode, variation selector and shortcode forms", () => {
+    const ci = defaults.types.find((t) => t.value === "ci");
+    const feat = defaults.types.find((t) => t.value === "feat");
+
+    expect(emojiMatchesType("⚙", ci)).toBe(true);
+    expect(emojiMatchesType(":gear:", ci)).toBe(true);
+    expect(emojiMatchesType(":sparkles:", feat)).toBe(true);
+    expect(emojiMatchesType("🐛", feat)).toBe(false);
+  });
+});
+
+describe("Formatter emoji styles", () => {
+  it("should not add emoji unless enabled", () => {
+    expect(new Formatter().format(components)).toBe("feat(ui): add dark mode");
+  });
+
+  it("should render each style", () => {
+    expect(emojiFormatter("unicode").format(components)).toBe(
+      "✨ feat(ui): add dark mode"
+    );
+    expect(emojiFormatter("shortcode").format(components)).toBe(
+      ":sparkles: feat(ui): add dark mode"
+    );
+    expect(emojiFormatter("emoji-only").format(components)).toBe(
+      "✨(ui): add dark mode"
+    );
+  });
+
+  it("should reject unknown styles", () => {
+    expect(() => emojiFormatter("kaomoji")).toThrow(
+      'Unknown emoji style "kaomoji"'
+    );
+  });
+});
+
+describe("Validator emoji headers", () => {
+  const validator = new Validator();
+
+  it("should parse headers written in every style", () => {
+    ["unicode", "shortcode", "emoji-only"].forEach((style) => {
+      const message = emojiFormatter(style).format(components);
+
+      expect(validator.validate(message).valid).toBe(true);
+      expect(validator.parse(message)).toMatchObject({
+        type: "feat",
+        scope: "ui",
+        subject: "add dark mode",
+      });
+    });
+  });
+
+  it("should reject an emoji that belongs to another type", () => {
+    expect(validator.validate("🐛 feat: add dark mode").errors).toEqual([
+      'Emoji 🐛 does not match type "feat" (expected ✨)',
+    ]);
+  });
+
+  it("should forbid emoji with type-emoji set to never", () => {
+    const strict = new Validator({ "type-emoji": ["error", "never"] });
+
+    expect(strict.validate("✨ feat: add dark mode").errors).toEqual([
+      "Header must not start with an emoji (✨)",
+    ]);
+  });
+
+  it("should group emoji commits in the changelog", () => {
+    const { groups } = new Changelog().build([
+      { hash: "a1", message: "✨ feat: add dark mode" },
+      { hash: "b2", message: ":bug: fix: handle empty password" },
+    ]);
+
+    expect(groups.map((g) => [g.type, g.entries[0].subject])).toEqual([
+      ["feat", "add dark mode"],
+      ["fix", "handle empty password"],
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+// tests/unit/helpers.test.js
+// Unit tests for shared helpers
+
+const {
+  stripCommitComments,
+  isAutoGeneratedMessage,
+  globToRegExp,
+} = require("../../src/utils/helpers");
+
+describe("stripCommitComments()", () => {
+  it("should remove comment lines", () => {
+    const raw = `feat: add login
+
+# Please enter the commit message for your changes.
+# On branch main
+`;
+
+    expect(stripCommitComments(raw)).toBe("feat: add login");
+  });
+
+  it("should drop everything after the scissors line", () => {
+    const raw = `fix: handle empty input
+
+Body text
+# ------------------------ >8 ------------------------
+# Do not modify or remove the line above.
+diff --git a/file.js b/file.js
+`;
+
+    expect(stripCommitComments(raw)).toBe(
+      "fix: handle empty input\n\nBody text"
+    );
+  });
+
+  it("should honour a custom comment character", () => {
+    const raw = "docs: update readme\n; comment\n# not a comment";
+
+    expect(stripCommitComments(raw, ";")).toBe(
+      "docs: update readme\n# not a comment"
+    );
+  });
+});
+
+describe("isAutoGeneratedMessage()", () => {
+  it("should detect git generated messages", () => {
+    expect(isAutoGeneratedMessage("Merge branch 'main' into dev")).toBe(true);
+    expect(isAutoGeneratedMessage("fixup! feat: add login")).toBe(true);
+    expect(isAutoGeneratedMessage('Revert "feat: add login"')).toBe(true);
+  });
+
+  it("should not flag regular messages", () => {
+    expect(isAutoGeneratedMessage("feat: add login")).toBe(false);
+  });
+});
+
+describe("globToRegExp()", () => {
+  it("should match a single segment with *", () => {
+    expect(globToRegExp("packages/*").test("packages/ui")).toBe(true);
+    expect(globToRegExp("packages/*").test("packages/ui/src")).toBe(false);
+  });
+
+  it("should match any depth with **", () => {
+    expect(globToRegExp("**/*.md").test("README.md")).toBe(true);
+    expect(globToRegExp("**/*.md").test("docs/guide/setup.md")).toBe(true);
+    expect(globToRegExp("apps/**").test("apps/web/src")).toBe(true);
+  });
+
+  it("should escape regular expression characters", () => {
+    expect(globToRegExp("src/a.b").test("src/aXb")).toBe(false);
+  });
+});
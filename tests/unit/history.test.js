@@ -0,0 +1,210 @@
+// tests/unit/history.test.js
+// Unit tests for reading and validating commit history
+
+const GitOperations = require("../../src/git/operations");
+const CommitCLI = require("../../src/index");
+
+describe("GitOperations.getCommits()", () => {
+  const logEntry = {
+    hash: "0123456789abcdef",
+    message: "feat: add login",
+    body: "Adds the login form.\n",
+    author_name: "Jane",
+    author_email: "jane@example.com",
+    date: "2026-10-01",
+  };
+  let git;
+
+  beforeEach(() => {
+    git = new GitOperations();
+    git.git = { log: jest.fn(async () => ({ all: [logEntry] })) };
+  });
+
+  it("should pass the range and filters to git log", async () => {
+    await git.getCommits({
+      from: "v1.0.0",
+      to: "main",
+      since: "2 weeks ago",
+      until: "yesterday",
+      author: "Jane",
+      maxCount: 5,
+    });
+
+    expect(git.git.log).toHaveBeenCalledWith([
+      "--max-count=5",
+      "--since=2 weeks ago",
+      "--until=yesterday",
+      "--author=Jane",
+      "--no-merges",
+      "v1.0.0..main",
+    ]);
+  });
+
+  it("should include merges only when asked", async () => {
+    await git.getCommits({ includeMerges: true });
+
+    expect(git.git.log).toHaveBeenCalledWith(["HEAD"]);
+  });
+
+  it("should join subject and body into the message", async () => {
+    const [commit] = await git.getCommits();
+
+    expect(commit).toEqual({
+      hash: "0123456",
+      fullHash: "0123456789abcdef",
+      message: "feat: add login\n\nAdds the login form.",
+      author: "Jane",
+      email: "jane@example.com",
+      date: "2026-10-01",
+    });
+  });
+});
+
+describe("GitOperations.getCommitsBetween()", () => {
+  let git;
+
+  beforeEach(() => {
+    git = new GitOperations();
+    git.git = {
+      log: jest.fn(async () => ({ all: [] })),
+      revparse: jest.fn(async ([, , ref]) => {
+        if (ref.startsWith("v9.9.9"))
+          throw new Error("fatal: Needed a single revision");
+        return "0123456789abcdef";
+      }),
+    };
+  });
+
+  it("should read the range including merges", async () => {
+    await git.getCommitsBetween("v1.0.0", "main");
+
+    expect(git.git.log).toHaveBeenCalledWith(["v1.0.0..main"]);
+  });
+
+  it("should name an unknown ref instead of returning no commits", async () => {
+    await expect(git.getCommitsBetween("v9.9.9")).rejects.toThrow(
+      'Unknown ref "v9.9.9"'
+    );
+    expect(git.git.log).not.toHaveBeenCalled();
+  });
+
+  it("should stop commit changelog --from with a mistyped ref", async () => {
+    const cli = new CommitCLI();
+    const output = [];
+    cli.git = git;
+    git.isGitRepo = async () => true;
+    git.getTags = async () => [];
+    git.getRepoRoot = jest.fn();
+    jest.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    jest
+      .spyOn(console, "log")
+      .mockImplementation((...args) => output.push(args.join(" ")));
+
+    try {
+      await expect(cli.changelog({ from: "v9.9.9" })).rejects.toThrow("exit 1");
+      expect(output.join("\n")).toContain('Error: Unknown ref "v9.9.9"');
+      expect(git.getRepoRoot).not.toHaveBeenCalled();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
+
+describe("CommitCLI.validateHistory()", () => {
+  let cli;
+  let exit;
+  let output;
+
+  /**
+   * Validate a history made of the given messages
+   * @param {string[]} messages - Commit messages, newest first
+   * @param {Object} options - validateHistory options
+   * @returns {Promise<void>}
+   */
+  const validate = (messages, options = {}) => {
+    cli.git.getCommits.mockResolvedValue(
+      messages.map((message, index) => ({
+        hash: `abc000${index}`,
+        fullHash: `abc000${index}`.padEnd(40, "0"),
+        message,
+        author: "Jane",
+        email: "jane@example.com",
+        date: "2026-10-01",
+      }))
+    );
+    return cli.validateHistory(options);
+  };
+
+  beforeEach(() => {
+    cli = new CommitCLI();
+    cli.git = {
+      isGitRepo: async () => true,
+      getCommits: jest.fn(),
+    };
+    exit = jest.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    output = [];
+    jest
+      .spyOn(console, "log")
+      .mockImplementation((...args) => output.push(args.join(" ")));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should forward the range options to getCommits", async () => {
+    await validate(["feat: add login"], {
+      from: "v1.0.0",
+      to: "main",
+      since: "2026-01-01",
+      until: "2026-06-01",
+      author: "Jane",
+      count: 10,
+      includeMerges: true,
+    });
+
+    expect(cli.git.getCommits).toHaveBeenCalledWith({
+      from: "v1.0.0",
+      to: "main",
+      since: "2026-01-01",
+      until: "2026-06-01",
+      author: "Jane",
+      maxCount: 10,
+      includeMerges: true,
+    });
+    expect(output.join("\n")).toContain(
+      "1 commit(s) in v1.0.0..main since 2026-01-01 until 2026-06-01 by Jane"
+    );
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  it("should exit with 1 when a commit is invalid", async () => {
+    await expect(
+      validate(["feat: add login", "added stuff"], { format: "json" })
+    ).rejects.toThrow("exit 1");
+
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(JSON.parse(output[0]).summary).toMatchObject({
+      total: 2,
+      valid: 1,
+      invalid: 1,
+    });
+  });
+
+  it("should skip merge commits unless merges are included", async () => {
+    const messages = ["feat: add login", "Merge branch 'main' into feature"];
+
+    await validate(messages, { format: "json" });
+    expect(JSON.parse(output[0]).summary.skipped).toBe(1);
+
+    output = [];
+    await expect(
+      validate(messages, { format: "json", includeMerges: true })
+    ).rejects.toThrow("exit 1");
+    expect(JSON.parse(output[0]).summary.invalid).toBe(1);
+  });
+});
@@ -0,0 +1,209 @@
+// tests/unit/hooks.test.js
+// Unit tests for the git hook installer and the hook commands
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const GitHooks = require("../../src/git/hooks");
+const CommitCLI = require("../../src/index");
+
+/**
+ * Stand-in for GitOperations in a plain directory
+ * @param {string} root - Repository root
+ * @param {Object} config - Git config values by key
+ * @returns {Object}
+ */
+const fakeGit = (root, config = {}) => ({
+  getRepoRoot: async () => root,
+  getGitPath: async (name) => path.join(root, ".git", name),
+  getConfigValue: async (key) => config[key] || null,
+  getStagedFiles: async () => [],
+  getCurrentBranch: async () => "main",
+  getOperationInProgress: async () => null,
+});
+
+describe("GitHooks", () => {
+  let dir;
+  let hooksDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-hooks-"));
+    hooksDir = path.join(dir, ".git", "hooks");
+    fs.mkdirSync(hooksDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should install an executable hook running the CLI", async () => {
+    const hooks = new GitHooks(fakeGit(dir));
+    const result = await hooks.install("commit-msg");
+    const hookPath = path.join(hooksDir, "commit-msg");
+
+    expect(result).toEqual({ path: hookPath, chained: false });
+    expect(fs.statSync(hookPath).mode & 0o111).not.toBe(0);
+    expect(fs.readFileSync(hookPath, "utf8")).toContain('lint-file "$1"');
+  });
+
+  it("should chain an existing hook and restore it on uninstall", async () => {
+    const hooks = new GitHooks(fakeGit(dir));
+    const hookPath = path.join(hooksDir, "commit-msg");
+    fs.writeFileSync(hookPath, "#!/bin/sh\necho husky\n", { mode: 0o755 });
+
+    expect((await hooks.install("commit-msg")).chained).toBe(true);
+    expect(fs.readFileSync(`${hookPath}.chained`, "utf8")).toContain("husky");
+
+    // Installing again keeps the chained hook as it is
+    expect((await hooks.install("commit-msg")).chained).toBe(true);
+
+    expect(await hooks.uninstall("commit-msg")).toEqual({
+      path: hookPath,
+      removed: true,
+      restored: true,
+    });
+    expect(fs.readFileSync(hookPath, "utf8")).toContain("husky");
+    expect(fs.existsSync(`${hookPath}.chained`)).toBe(false);
+  });
+
+  it("should leave hooks it did not install alone", async () => {
+    const hooks = new GitHooks(fakeGit(dir));
+    const hookPath = path.join(hooksDir, "commit-msg");
+    fs.writeFileSync(hookPath, "#!/bin/sh\necho husky\n");
+
+    expect((await hooks.uninstall("commit-msg")).removed).toBe(false);
+    expect(fs.readFileSync(hookPath, "utf8")).toContain("husky");
+  });
+
+  it("should install into core.hooksPath relative to the root", async () => {
+    const hooks = new GitHooks(fakeGit(dir, { "core.hooksPath": ".githooks" }));
+    const result = await hooks.install("prepare-commit-msg");
+
+    expect(result.path).toBe(path.join(dir, ".githooks", "prepare-commit-msg"));
+    expect(fs.readFileSync(result.path, "utf8")).toContain(
+      'prepare-file "$1" "$2" "$3"'
+    );
+  });
+
+  it("should reject unsupported hooks", async () => {
+    await expect(
+      new GitHooks(fakeGit(dir)).install("pre-push")
+    ).rejects.toThrow('Unsupported hook "pre-push"');
+  });
+});
+
+describe("CommitCLI.lintFile()", () => {
+  let dir;
+  let cli;
+  let exit;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-lint-file-"));
+    cli = new CommitCLI();
+    cli.git = fakeGit(dir);
+    exit = jest.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const lint = (content) => {
+    const file = path.join(dir, "COMMIT_EDITMSG");
+    fs.writeFileSync(file, content);
+    return cli.lintFile(file);
+  };
+
+  it("should ignore comments and everything below the scissors line", async () => {
+    await lint(
+      [
+        "feat: add login",
+        "# Please enter the commit message for your changes.",
+        "# ------------------------ >8 ------------------------",
+        "diff --git a/login.js b/login.js",
+        `+${"x".repeat(150)}`,
+      ].join("\n")
+    );
+
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  it("should honour core.commentChar", async () => {
+    cli.git = fakeGit(dir, { "core.commentChar": ";" });
+
+    await lint("fix: handle empty input\n; Lines starting with ; are ignored");
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  it("should exit with 1 for invalid messages", async () => {
+    await expect(lint("added stuff\n# comment")).rejects.toThrow("exit 1");
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  it("should leave empty and git generated messages to git", async () => {
+    await lint("# only comments\n");
+    await lint("Merge branch 'main' into feature");
+
+    expect(exit).not.toHaveBeenCalled();
+  });
+});
+
+describe("CommitCLI.prepareFile()", () => {
+  let dir;
+  let file;
+  let cli;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-prepare-file-"));
+    file = path.join(dir, "COMMIT_EDITMSG");
+    fs.writeFileSync(
+      file,
+      "\n# Please enter the commit message.\n# On branch main\n"
+    );
+    cli = new CommitCLI();
+    cli.git = fakeGit(dir);
+    cli.prompt.run = jest.fn(async () => ({ message: "feat: add login" }));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should write the prompted message above git's comments", async () => {
+    await cli.prepareFile(file, "");
+
+    expect(fs.readFileSync(file, "utf8")).toBe(
+      "feat: add login\n\n# Please enter the commit message.\n# On branch main\n"
+    );
+  });
+
+  it.each(["message", "merge", "squash", "commit"])(
+    "should keep the message when its source is %s",
+    async (source) => {
+      await cli.prepareFile(file, source);
+
+      expect(cli.prompt.run).not.toHaveBeenCalled();
+      expect(fs.readFileSync(file, "utf8")).toMatch(/^\n# Please enter/);
+    }
+  );
+
+  it("should skip prompting during a rebase", async () => {
+    cli.git.getOperationInProgress = async () => "rebase";
+
+    await cli.prepareFile(file, "");
+    expect(cli.prompt.run).not.toHaveBeenCalled();
+  });
+
+  it("should leave the file to the editor when the prompt is cancelled", async () => {
+    cli.prompt.run.mockResolvedValue(null);
+
+    await cli.prepareFile(file, "template");
+    expect(fs.readFileSync(file, "utf8")).toMatch(/^\n# Please enter/);
+  });
+});
@@ -0,0 +1,164 @@
+// tests/unit/inference.test.js
+// Unit tests for diff parsing and commit type inference
+
+const { parseDiff, isWhitespaceOnly } = require("../../src/core/diff");
+const { inferType, getExportedSymbols } = require("../../src/core/inference");
+const { diffFor } = require("../helpers/diff");
+
+describe("parseDiff()", () => {
+  it("should read files, status and hunks", () => {
+    const text = [
+      diffFor("src/a.js", [" keep", "-old", "+new", "+more"], {
+        context: "module.exports",
+      }),
+      diffFor("src/b.js", ["+export const b = 1;"], { status: "added" }),
+      "diff --git a/old.js b/new.js",
+      "similarity index 100%",
+      "rename from old.js",
+      "rename to new.js",
+    ].join("\n");
+
+    const files = parseDiff(text);
+
+    expect(files.map((f) => [f.file, f.status])).toEqual([
+      ["src/a.js", "modified"],
+      ["src/b.js", "added"],
+      ["new.js", "renamed"],
+    ]);
+    expect(files[0]).toMatchObject({ additions: 2, deletions: 1 });
+    expect(files[0].hunks[0]).toMatchObject({
+      oldStart: 1,
+      newLines: 2,
+      context: "module.exports",
+    });
+    expect(files[2].oldFile).toBe("old.js");
+  });
+
+  it("should detect whitespace-only changes", () => {
+    const [reindented] = parseDiff(
+      diffFor("a.js", ["-if (a) {", "-  b();", "+if (a) {", "+    b();"])
+    );
+    const [changed] = parseDiff(diffFor("a.js", ["-b();", "+c();"]));
+
+    expect(isWhitespaceOnly(reindented)).toBe(true);
+    expect(isWhitespaceOnly(changed)).toBe(false);
+  });
+});
+
+describe("inferType()", () => {
+  const infer = (...diffs) => inferType(parseDiff(diffs.join("\n")));
+
+  it("should infer test, docs and ci from the files touched", () => {
+    expect(infer(diffFor("tests/unit/a.test.js", ["+it()"])).type).toBe("test");
+    expect(
+      infer(diffFor("README.md", ["+x"]), diffFor("docs/a.md", ["+y"])).type
+    ).toBe("docs");
+    expect(infer(diffFor(".github/workflows/ci.yml", ["+x"])).type).toBe("ci");
+  });
+
+  it("should not take text files for documentation", () => {
+    expect(infer(diffFor("LICENSE.txt", ["+x"])).type).toBe("docs");
+    expect(infer(diffFor("requirements.txt", ["+flask==3.0"]))).toBeNull();
+    expect(infer(diffFor("CMakeLists.txt", ["+add_library(x)"]))).toBeNull();
+  });
+
+  it("should infer build for dependency-only changes", () => {
+    const bump = diffFor("package.json", [
+      '-    "chalk": "^4.1.0",',
+      '+    "chalk": "^4.1.2",',
+    ]);
+    const version = diffFor("package.json", [
+      '-  "version": "1.0.0",',
+      '+  "version": "1.1.0",',
+    ]);
+
+    expect(infer(bump, diffFor("package-lock.json", ["+x"])).type).toBe(
+      "build"
+    );
+    expect(infer(version)).toBeNull();
+  });
+
+  it("should not infer build for changes outside dependency blocks", () => {
+    const scripts = diffFor("package.json", [
+      '   "scripts": {',
+      '-    "test": "jest",',
+      '+    "test": "jest --coverage",',
+      '     "lint": "eslint ."',
+    ]);
+    const farFromBlock = diffFor("package.json", [
+      '     "build": "tsc",',
+      '-    "test": "jest"',
+      '+    "test": "jest --coverage"',
+      "   },",
+    ]);
+    const dependencies = diffFor(
+      "package.json",
+      ['-    "chalk": "^4.1.0",', '+    "chalk": "^4.1.2",'],
+      { context: '"dependencies": {' }
+    );
+
+    expect(infer(scripts)).toBeNull();
+    expect(infer(farFromBlock)).toBeNull();
+    expect(infer(dependencies).type).toBe("build");
+  });
+
+  it("should infer style for formatting-only changes", () => {
+    expect(infer(diffFor("src/a.js", ["-a( 1 )", "+a(1)"])).type).toBe("style");
+  });
+
+  it("should infer feat for new files exporting symbols", () => {
+    const result = infer(
+      diffFor("src/login.js", ["+module.exports = { login, logout };"], {
+        status: "added",
+      }),
+      diffFor("src/index.js", ["-a();", "+b();"])
+    );
+
+    expect(result).toEqual({
+      type: "feat",
+      reason: "New file src/login.js exports login, logout",
+    });
+    expect(infer(diffFor("src/index.js", ["-a();", "+b();"]))).toBeNull();
+  });
+
+  it("should read exports objects spanning several lines", () => {
+    const result = infer(
+      diffFor(
+        "src/session.js",
+        [
+          "+function start() {}",
+          "+module.exports = {",
+          "+  start,",
+          "+  stop: () => {},",
+          "+};",
+        ],
+        { status: "added" }
+      )
+    );
+
+    expect(result).toEqual({
+      type: "feat",
+      reason: "New file src/session.js exports start, stop",
+    });
+  });
+});
+
+describe("getExportedSymbols()", () => {
+  it("should read ES module and CommonJS exports", () => {
+    const [file] = parseDiff(
+      diffFor(
+        "src/a.js",
+        [
+          "+export const foo = 1;",
+          "+export default class Bar {}",
+          "+export { baz as qux };",
+          "+exports.helper = () => {};",
+          "+const internal = 1;",
+        ],
+        { status: "added" }
+      )
+    );
+
+    expect(getExportedSymbols(file)).toEqual(["foo", "Bar", "qux", "helper"]);
+  });
+});
@@ -0,0 +1,80 @@
+// tests/unit/issues.test.js
+// Unit tests for issue keys and references
+
+const {
+  extractIssueKeys,
+  formatIssueFooter,
+  parseReferences,
+} = require("../../src/core/issues");
+const questions = require("../../src/prompts/questions");
+const defaults = require("../../src/config/defaults");
+
+describe("extractIssueKeys()", () => {
+  const patterns = defaults.issues.branchPatterns;
+
+  it("should read Jira-style keys and issue numbers", () => {
+    expect(extractIssueKeys("feature/PROJ-123-login", patterns)).toEqual([
+      "PROJ-123",
+    ]);
+    expect(extractIssueKeys("fix/456-crash", patterns)).toEqual(["#456"]);
+    expect(extractIssueKeys("feature/AB-1-and-AB-2", patterns)).toEqual([
+      "AB-1",
+      "AB-2",
+    ]);
+  });
+
+  it("should find nothing in branches without keys", () => {
+    expect(extractIssueKeys("main", patterns)).toEqual([]);
+    expect(extractIssueKeys("release/v2.0.1", patterns)).toEqual([]);
+    expect(extractIssueKeys("HEAD", patterns)).toEqual([]);
+  });
+
+  it("should support custom patterns", () => {
+    const custom = [{ pattern: "ticket-(\\d+)", reference: "TCK-$1" }];
+    expect(extractIssueKeys("ticket-42-cleanup", custom)).toEqual(["TCK-42"]);
+  });
+});
+
+describe("formatIssueFooter()", () => {
+  it("should join keys behind the token", () => {
+    expect(formatIssueFooter(["PROJ-1", "PROJ-2"])).toBe("Refs PROJ-1, PROJ-2");
+    expect(formatIssueFooter(["#4"], "Closes")).toBe("Closes #4");
+    expect(formatIssueFooter([])).toBeNull();
+  });
+});
+
+describe("parseReferences()", () => {
+  it("should parse tokens and references", () => {
+    expect(
+      parseReferences("Fixes #1, Refs: PROJ-2 acme/app#3").references
+    ).toEqual([
+      { token: "Fixes", reference: "#1" },
+      { token: "Refs", reference: "PROJ-2" },
+      { token: "Refs", reference: "acme/app#3" },
+    ]);
+  });
+
+  it("should report parts that are not references", () => {
+    expect(parseReferences("#4, Closes 123").invalid).toEqual([
+      "#4",
+      "Closes 123",
+    ]);
+  });
+});
+
+describe("footer question", () => {
+  const footer = questions
+    .getAll(defaults, undefined, { footer: "Refs PROJ-123" })
+    .find((question) => question.name === "footer");
+
+  it("should be pre-filled with the branch issue", () => {
+    expect(footer.default).toBe("Refs PROJ-123");
+  });
+
+  it("should accept Jira-style keys", () => {
+    expect(footer.validate("Refs PROJ-123")).toBe(true);
+    expect(footer.validate("Closes #12, Refs PROJ-9")).toBe(true);
+    expect(footer.validate("")).toBe(true);
+    expect(footer.validate("see ticket")).toContain("Not an issue reference");
+  });
+});
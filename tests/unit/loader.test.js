@@ -0,0 +1,115 @@
+// tests/unit/loader.test.js
+// Unit tests for config loader
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createInitialConfig,
+  loadConfig,
+  mergeConfig,
+} = require("../../src/config/loader");
+const defaults = require("../../src/config/defaults");
+const CommitCLI = require("../../src/index");
+
+describe("mergeConfig()", () => {
+  it("should replace arrays instead of concatenating", () => {
+    const merged = mergeConfig(defaults, { scopes: ["web"] });
+
+    expect(merged.scopes).toEqual(["web"]);
+  });
+
+  it("should merge nested rule objects", () => {
+    const merged = mergeConfig(defaults, { rules: { maxSubjectLength: 50 } });
+
+    expect(merged.rules.maxSubjectLength).toBe(50);
+    expect(merged.rules.minSubjectLength).toBe(defaults.rules.minSubjectLength);
+  });
+
+  it("should not mutate the base config", () => {
+    mergeConfig(defaults, { rules: { maxSubjectLength: 10 } });
+
+    expect(defaults.rules.maxSubjectLength).toBe(72);
+  });
+});
+
+describe("loadConfig()", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-config-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should fall back to defaults when no config exists", async () => {
+    const { config, filepath } = await loadConfig({ cwd: dir });
+
+    expect(filepath).toBeNull();
+    expect(config.types).toEqual(defaults.types);
+  });
+
+  it("should load .commitrc.json", async () => {
+    fs.writeFileSync(
+      path.join(dir, ".commitrc.json"),
+      JSON.stringify({ scopes: ["cli"], rules: { maxSubjectLength: 60 } })
+    );
+
+    const { config, filepath } = await loadConfig({ cwd: dir });
+
+    expect(filepath).toBe(path.join(dir, ".commitrc.json"));
+    expect(config.scopes).toEqual(["cli"]);
+    expect(config.rules.maxSubjectLength).toBe(60);
+    expect(config.rules.enforceImperative).toBe(true);
+  });
+
+  it("should load .commitrc.yaml", async () => {
+    fs.writeFileSync(
+      path.join(dir, ".commitrc.yaml"),
+      "scopes:\n  - web\n  - server\n"
+    );
+
+    const { config } = await loadConfig({ cwd: dir });
+
+    expect(config.scopes).toEqual(["web", "server"]);
+  });
+
+  it("should load the commit key from package.json", async () => {
+    fs.writeFileSync(
+      path.join(dir, "package.json"),
+      JSON.stringify({ name: "demo", commit: { allowCustomScopes: false } })
+    );
+
+    const { config } = await loadConfig({ cwd: dir });
+
+    expect(config.allowCustomScopes).toBe(false);
+  });
+
+  it("should load commit.config.js", async () => {
+    fs.writeFileSync(
+      path.join(dir, "commit.config.js"),
+      "module.exports = { prompts: { skipQuestions: ['body'] } };"
+    );
+
+    const { config } = await loadConfig({ cwd: dir });
+
+    expect(config.prompts.skipQuestions).toEqual(["body"]);
+    expect(config.prompts.enableEmoji).toBe(false);
+  });
+
+  it("should switch presets in a config written by init", async () => {
+    const file = path.join(dir, ".commitrc.json");
+    fs.writeFileSync(file, JSON.stringify(createInitialConfig(), null, 2));
+    const written = JSON.parse(fs.readFileSync(file, "utf8"));
+    fs.writeFileSync(file, JSON.stringify({ ...written, preset: "gitmoji" }));
+
+    const { config } = await loadConfig({ cwd: dir });
+    const { validator } = new CommitCLI(config);
+
+    expect(config.headerFormat).toBe("gitmoji");
+    expect(validator.validate(":sparkles: add login").valid).toBe(true);
+    expect(validator.validate("feat: add login").valid).toBe(false);
+  });
+});
@@ -0,0 +1,237 @@
+// tests/unit/parser.test.js
+// Unit tests for the Conventional Commits parser
+
+const Parser = require("../../src/core/parser");
+const Formatter = require("../../src/core/formatter");
+const Validator = require("../../src/core/validator");
+const { compileHeaderTemplate } = require("../../src/core/headers");
+
+describe("Parser", () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new Parser();
+  });
+
+  describe("parseHeader()", () => {
+    it("should parse the breaking change marker", () => {
+      const header = parser.parseHeader("feat(api)!: drop v1");
+
+      expect(header).toMatchObject({
+        type: "feat",
+        scope: "api",
+        breaking: true,
+        subject: "drop v1",
+      });
+    });
+
+    it("should accept scopes with slashes and dots", () => {
+      expect(parser.parseHeader("fix(packages/ui): x").scope).toBe(
+        "packages/ui"
+      );
+      expect(parser.parseHeader("fix(v1.2): x").scope).toBe("v1.2");
+    });
+
+    it("should report positions", () => {
+      const header = parser.parseHeader("feat(api)!: drop v1");
+
+      expect(header.position).toEqual({
+        type: { line: 1, column: 1 },
+        scope: { line: 1, column: 6 },
+        subject: { line: 1, column: 13 },
+      });
+    });
+
+    it("should return null for malformed headers", () => {
+      expect(parser.parseHeader("not a commit")).toBeNull();
+      expect(parser.parseHeader("feat(): empty scope")).toBeNull();
+    });
+  });
+
+  describe("parse()", () => {
+    it("should keep multi-paragraph bodies", () => {
+      const ast = parser.parse(`fix: prevent racing of requests
+
+Introduce a request id and a reference to latest request. Dismiss
+incoming responses other than from latest request.
+
+Remove timeouts which were used to mitigate the racing issue but are
+obsolete now.
+
+Reviewed-by: Z
+Refs: #123`);
+
+      expect(ast.body.text)
+        .toBe(`Introduce a request id and a reference to latest request. Dismiss
+incoming responses other than from latest request.
+
+Remove timeouts which were used to mitigate the racing issue but are
+obsolete now.`);
+      expect(ast.body.position).toEqual({ line: 3, column: 1 });
+      expect(ast.footers.map((f) => [f.token, f.value])).toEqual([
+        ["Reviewed-by", "Z"],
+        ["Refs", "#123"],
+      ]);
+    });
+
+    it("should parse trailer footers with # separator", () => {
+      const ast = parser.parse("fix: x\n\nCloses #12\nFixes #13");
+
+      expect(ast.body).toBeNull();
+      expect(ast.footers).toEqual([
+        {
+          token: "Closes",
+          separator: " #",
+          value: "12",
+          position: { line: 3, column: 1 },
+        },
+        {
+          token: "Fixes",
+          separator: " #",
+          value: "13",
+          position: { line: 4, column: 1 },
+        },
+      ]);
+    });
+
+    it("should parse multi-line footer values", () => {
+      const ast = parser.parse(
+        "feat: x\n\nBREAKING CHANGE: the config\n  format changed\nRefs: #1"
+      );
+
+      expect(ast.notes).toEqual([
+        { token: "BREAKING CHANGE", text: "the config\n  format changed" },
+      ]);
+      expect(ast.footers[1].value).toBe("#1");
+    });
+
+    it("should keep body paragraphs that look like footers", () => {
+      const message = [
+        "feat: x",
+        "",
+        "Note: this changes the default.",
+        "",
+        "Second paragraph of body.",
+        "",
+        "Refs: #1",
+      ].join("\n");
+      const ast = parser.parse(message);
+
+      expect(ast.body.text).toBe(
+        "Note: this changes the default.\n\nSecond paragraph of body."
+      );
+      expect(ast.footers.map((f) => [f.token, f.value])).toEqual([
+        ["Refs", "#1"],
+      ]);
+      expect(new Formatter().formatCommit(ast)).toBe(message);
+    });
+
+    it("should detect breaking changes from every marker", () => {
+      expect(parser.parse("feat!: x").breaking).toBe(true);
+      expect(parser.parse("feat: x\n\nBREAKING-CHANGE: y").breaking).toBe(true);
+      expect(parser.parse("feat: x\n\nBREAKING CHANGE: y").breaking).toBe(true);
+      expect(parser.parse("feat: x\n\nbody BREAKING CHANGE: y").breaking).toBe(
+        false
+      );
+    });
+
+    it("should only read footers from the last paragraph", () => {
+      const ast = parser.parse(
+        "feat: x\n\nNote: this is body\ntext\n\nRefs: #1"
+      );
+
+      expect(ast.body.text).toBe("Note: this is body\ntext");
+      expect(ast.footers.map((f) => f.token)).toEqual(["Refs"]);
+
+      const inline = parser.parse("feat: x\n\nsome body\nRefs: #1");
+      expect(inline.body.text).toBe("some body");
+      expect(inline.footers.map((f) => [f.token, f.value])).toEqual([
+        ["Refs", "#1"],
+      ]);
+    });
+
+    it("should continue footer values on unindented lines", () => {
+      const ast = parser.parse(
+        "feat: x\n\nBREAKING CHANGE: drops old\napi entirely"
+      );
+
+      expect(ast.body).toBeNull();
+      expect(ast.breaking).toBe(true);
+      expect(ast.notes).toEqual([
+        { token: "BREAKING CHANGE", text: "drops old\napi entirely" },
+      ]);
+    });
+
+    it("should find breaking notes next to free-text references", () => {
+      const ast = parser.parse(
+        "feat: x\n\nbody\n\nRefs PROJ-1 PROJ-2\nBREAKING CHANGE: drops api\nRelated to #5"
+      );
+
+      expect(ast.body.text).toBe("body\n\nRefs PROJ-1 PROJ-2");
+      expect(ast.breaking).toBe(true);
+      expect(ast.notes).toEqual([
+        { token: "BREAKING CHANGE", text: "drops api\nRelated to #5" },
+      ]);
+    });
+  });
+});
+
+describe("Header templates", () => {
+  const headerFormat = "{type}{scope?}{!}: {subject} [{ticket}]";
+
+  it("should format optional and extra placeholders", () => {
+    const format = compileHeaderTemplate(headerFormat);
+
+    expect(
+      format.format({
+        type: "feat",
+        scope: "ui",
+        subject: "add dark mode",
+        fields: { ticket: "PROJ-12" },
+      })
+    ).toBe("feat(ui): add dark mode [PROJ-12]");
+    expect(format.fields).toEqual([{ name: "ticket", optional: false }]);
+  });
+
+  it("should drop empty optional placeholders with their brackets", () => {
+    const format = compileHeaderTemplate("[{scope?}] {type}: {subject}");
+
+    expect(format.format({ type: "fix", scope: "api", subject: "x" })).toBe(
+      "[api] fix: x"
+    );
+    expect(format.format({ type: "fix", subject: "x" })).toBe("fix: x");
+  });
+
+  it("should parse headers written with the template", () => {
+    const parser = new Parser({ headerFormat });
+    const header = parser.parseHeader("fix!: handle [x] input [PROJ-7]");
+
+    expect(header).toMatchObject({
+      type: "fix",
+      scope: null,
+      breaking: true,
+      subject: "handle [x] input",
+      fields: { ticket: "PROJ-7" },
+    });
+    expect(header.position.subject).toEqual({ line: 1, column: 7 });
+  });
+
+  it("should validate and round-trip through the formatter", () => {
+    const validator = new Validator({}, { headerFormat });
+    const formatter = new Formatter({}, { headerFormat });
+    const message = "feat(api): add login [PROJ-1]";
+
+    expect(validator.validateHeader("feat(api): add login")).toEqual([
+      `Header must follow format: ${headerFormat}`,
+    ]);
+    expect(formatter.formatCommit(validator.parseCommit(message))).toBe(
+      message
+    );
+  });
+
+  it("should require type and subject placeholders", () => {
+    expect(() => compileHeaderTemplate("{scope}: {subject}")).toThrow(
+      'Header template "{scope}: {subject}" needs a {type} placeholder'
+    );
+  });
+});
@@ -0,0 +1,186 @@
+// tests/unit/plugins.test.js
+// Unit tests for plugin loading and plugin contributions
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadPlugins, PluginError } = require("../../src/config/plugins");
+const Validator = require("../../src/core/validator");
+const Formatter = require("../../src/core/formatter");
+const { getHeaderFormat } = require("../../src/core/headers");
+
+const ORG_PLUGIN = `
+module.exports = (options) => ({
+  name: "org",
+  types: [{ value: "db", description: "Database migration" }],
+  rules: [
+    {
+      id: "migrations-scope",
+      validate: ({ header }, when, value, context) => {
+        const touchesMigrations = (context.files || []).some((file) =>
+          file.startsWith("migrations/")
+        );
+        return header && touchesMigrations && header.scope !== options.scope
+          ? ["Migrations must use scope " + options.scope]
+          : [];
+      },
+    },
+  ],
+  scopeSuggesters: [(files) => (files.includes("Makefile") ? "build" : null)],
+});
+`;
+
+describe("loadPlugins()", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-plugins-"));
+    fs.writeFileSync(path.join(dir, "org-plugin.js"), ORG_PLUGIN);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should load local plugins with options", () => {
+    const plugins = loadPlugins([["./org-plugin.js", { scope: "db" }]], {
+      cwd: dir,
+    });
+
+    expect(plugins.names).toEqual(["org"]);
+    expect(plugins.types[0]).toMatchObject({
+      value: "db",
+      name: "db: Database migration",
+    });
+    expect(plugins.rules.map((rule) => rule.id)).toEqual(["migrations-scope"]);
+  });
+
+  it("should report missing files and packages", () => {
+    expect(() => loadPlugins(["./missing.js"], { cwd: dir })).toThrow(
+      PluginError
+    );
+    expect(() => loadPlugins(["commit-plugin-missing"], { cwd: dir })).toThrow(
+      'Plugin "commit-plugin-missing": package not found'
+    );
+  });
+
+  it("should report plugins that throw while loading", () => {
+    fs.writeFileSync(path.join(dir, "broken.js"), "throw new Error('boom');");
+
+    expect(() => loadPlugins(["./broken.js"], { cwd: dir })).toThrow(
+      'Plugin "./broken.js": failed to load: boom'
+    );
+  });
+
+  it("should reject malformed contributions", () => {
+    expect(() => loadPlugins([{ name: "bad", rules: [{ id: "x" }] }])).toThrow(
+      'Plugin "bad": rule "x" must have a validate()'
+    );
+    expect(() =>
+      loadPlugins([{ name: "bad", headerFormats: { legacy: {} } }])
+    ).toThrow('header format "legacy" must have format() and parse()');
+    expect(() =>
+      loadPlugins([{ name: "bad", suggestionProviders: { local: {} } }])
+    ).toThrow('suggestion provider "local" must have suggest()');
+  });
+
+  it("should reject contributions of the wrong kind", () => {
+    const validate = () => [];
+
+    const objectRules = () =>
+      loadPlugins([{ name: "bad", rules: { "no-wip": { validate } } }]);
+
+    expect(objectRules).toThrow(PluginError);
+    expect(objectRules).toThrow('Plugin "bad": "rules" must be an array');
+    expect(() => loadPlugins([{ name: "bad", types: "deploy" }])).toThrow(
+      'Plugin "bad": "types" must be an array'
+    );
+    expect(() =>
+      loadPlugins([{ name: "bad", scopeSuggesters: () => ["db"] }])
+    ).toThrow('Plugin "bad": "scopeSuggesters" must be an array');
+    expect(() =>
+      loadPlugins([{ name: "bad", headerFormats: [{ format: () => "" }] }])
+    ).toThrow('Plugin "bad": "headerFormats" must be an object');
+  });
+});
+
+describe("plugin contributions", () => {
+  let dir;
+  let context;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-plugins-"));
+    fs.writeFileSync(path.join(dir, "org-plugin.js"), ORG_PLUGIN);
+    context = {
+      plugins: loadPlugins([["./org-plugin.js", { scope: "db" }]], {
+        cwd: dir,
+      }),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should accept plugin types", () => {
+    const validator = new Validator({}, context);
+
+    expect(validator.validate("db: add users table").valid).toBe(true);
+  });
+
+  it("should run plugin rules with the staged files", () => {
+    const validator = new Validator({}, context);
+    const files = ["migrations/001_users.sql"];
+
+    expect(
+      validator.validate("feat(api): add users", { files }).errors
+    ).toEqual(["Migrations must use scope db"]);
+    expect(validator.validate("feat(db): add users", { files }).valid).toBe(
+      true
+    );
+  });
+
+  it("should let config change the level of plugin rules", () => {
+    const validator = new Validator({ "migrations-scope": "warn" }, context);
+    const result = validator.validate("feat: add users", {
+      files: ["migrations/001_users.sql"],
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toHaveLength(1);
+  });
+
+  it("should ask plugin scope suggesters first", () => {
+    const formatter = new Formatter({}, context);
+
+    expect(formatter.suggestScope(["Makefile"])).toBe("build");
+    expect(formatter.suggestScope(["src/api/users.js"])).toBe("api");
+  });
+
+  it("should use plugin header formats", () => {
+    const legacy = {
+      example: "[TYPE] subject",
+      format: ({ type, subject }) => `[${type.toUpperCase()}] ${subject}`,
+      parse: (line) => {
+        const match = line.match(/^\[(\w+)\] (.+)$/);
+        return match
+          ? { type: match[1].toLowerCase(), scope: null, subject: match[2] }
+          : null;
+      },
+    };
+    const headerFormat = getHeaderFormat("legacy", { legacy });
+    const validator = new Validator({}, { headerFormat });
+    const formatter = new Formatter({}, { headerFormat });
+
+    expect(formatter.format({ type: "fix", subject: "handle nulls" })).toBe(
+      "[FIX] handle nulls"
+    );
+    expect(validator.parse("[FIX] handle nulls")).toMatchObject({
+      type: "fix",
+      subject: "handle nulls",
+    });
+    expect(validator.validate("fix: handle nulls").errors).toEqual([
+      "Header must follow format: [TYPE] subject",
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+// tests/unit/presets.test.js
+// Unit tests for convention presets
+
+const { getPreset } = require("../../src/config/presets");
+const { resolveConfig } = require("../../src/config/loader");
+const { getHeaderFormat } = require("../../src/core/headers");
+const Validator = require("../../src/core/validator");
+const Formatter = require("../../src/core/formatter");
+const Changelog = require("../../src/core/changelog");
+const { recommendBump } = require("../../src/core/version");
+const InteractivePrompt = require("../../src/prompts/interactive");
+const CommitCLI = require("../../src/index");
+
+/**
+ * Build the validator, formatter and changelog a preset configures
+ * @param {Object} userConfig - Project config selecting a preset
+ * @returns {Object} - { config, validator, formatter, changelog }
+ */
+function setup(userConfig) {
+  const config = resolveConfig(userConfig);
+  const context = { headerFormat: getHeaderFormat(config.headerFormat) };
+
+  return {
+    config,
+    validator: new Validator(config.rules, { ...context, config }),
+    formatter: new Formatter(config, context),
+    changelog: new Changelog(config, context),
+  };
+}
+
+describe("getPreset()", () => {
+  it("should default to the angular preset", () => {
+    expect(getPreset().config).toEqual({});
+  });
+
+  it("should reject unknown presets", () => {
+    expect(() => getPreset("karma")).toThrow(
+      'Unknown preset "karma". Available: angular, gitmoji, eslint, jira'
+    );
+  });
+});
+
+describe("resolveConfig()", () => {
+  it("should merge project config over the preset", () => {
+    const config = resolveConfig({
+      preset: "eslint",
+      rules: { maxSubjectLength: 50 },
+    });
+
+    expect(config.headerFormat).toBe("eslint");
+    expect(config.rules.subjectCase).toBe("uppercase");
+    expect(config.rules.maxSubjectLength).toBe(50);
+  });
+});
+
+describe("gitmoji preset", () => {
+  const { validator, formatter, changelog } = setup({ preset: "gitmoji" });
+
+  it("should validate shortcode headers", () => {
+    expect(validator.validate(":sparkles: add login").valid).toBe(true);
+    expect(validator.validate(":bug: (auth) fix crash").valid).toBe(true);
+    expect(validator.validate("feat: add login").valid).toBe(false);
+    expect(validator.validate(":tada: begin project").errors[0]).toMatch(
+      /^Invalid type "tada"/
+    );
+  });
+
+  it("should treat :boom: as a breaking change", () => {
+    expect(validator.parse(":boom: drop node 14").breaking).toBe(true);
+  });
+
+  it("should map detected types through the aliases", () => {
+    expect(formatter.detectType("fix crash on login")).toBe("bug");
+    expect(formatter.detectType("document the readme")).toBe("memo");
+    expect(formatter.autoFormat("tweak some things").type).toBe("wrench");
+  });
+
+  it("should share changelog groups between types of one section", () => {
+    const { groups } = changelog.build([
+      { hash: "a1", message: ":bug: fix crash" },
+      { hash: "b2", message: ":ambulance: fix outage" },
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].title).toBe("Bug Fixes");
+    expect(groups[0].entries).toHaveLength(2);
+  });
+
+  it("should recommend bumps from the preset types", () => {
+    const { config } = setup({ preset: "gitmoji" });
+    const bumps = Object.fromEntries(
+      config.types.filter((t) => t.bump).map((t) => [t.value, t.bump])
+    );
+    const commits = [{ message: ":sparkles: add login" }];
+
+    expect(recommendBump(commits, validator, { bumps }).releaseType).toBe(
+      "minor"
+    );
+  });
+});
+
+describe("eslint preset", () => {
+  const { validator, formatter } = setup({ preset: "eslint" });
+
+  it("should require a capitalized tag and subject", () => {
+    expect(validator.validate("Fix: Semi rule crashing").valid).toBe(true);
+    expect(validator.validate("Fix: semi rule crashing").errors).toEqual([
+      "Subject must start with uppercase letter",
+    ]);
+    expect(validator.validate("fix: Semi rule crashing").valid).toBe(false);
+  });
+
+  it("should format headers without a scope", () => {
+    expect(
+      formatter.format({ type: "New", scope: "rules", subject: "Add rule" })
+    ).toBe("New: Add rule");
+  });
+});
+
+describe("jira preset", () => {
+  const { validator, formatter } = setup({ preset: "jira" });
+
+  it("should validate smart commit headers", () => {
+    expect(validator.validate("PROJ-12 #comment fixed the login").valid).toBe(
+      true
+    );
+    expect(validator.parse("PROJ-1 PROJ-2 #resolve done")).toMatchObject({
+      type: "resolve",
+      scope: "PROJ-1,PROJ-2",
+      subject: "done",
+    });
+    expect(validator.validate("#comment no issue key").valid).toBe(false);
+  });
+
+  it("should format issue keys in front of the command", () => {
+    expect(
+      formatter.format({ type: "time", scope: "PROJ-1", subject: "1h 30m" })
+    ).toBe("PROJ-1 #time 1h 30m");
+  });
+
+  it("should ask for the issue key in quick and amend mode", async () => {
+    const config = resolveConfig({ preset: "jira" });
+    const prompt = new InteractivePrompt(config, {
+      headerFormat: getHeaderFormat(config.headerFormat),
+    });
+    const asked = [];
+    prompt.ask = async ([question]) => {
+      asked.push(question);
+      if (question.name === "useAutoFormat") return { useAutoFormat: true };
+      if (question.name === "amendAction") return { amendAction: "reformat" };
+      return { scope: question.default };
+    };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const quick = await prompt.runQuick("fix login crash", {
+      scope: "PROJ-7",
+    });
+    const amend = await prompt.runAmend("fix login crash", {
+      scope: "PROJ-7",
+    });
+
+    expect(quick.message).toBe("PROJ-7 #resolve fix login crash");
+    expect(amend.message).toBe("PROJ-7 #resolve fix login crash");
+    expect(validator.validate(quick.message).valid).toBe(true);
+    expect(asked.find((q) => q.name === "scope").validate("")).toBe(
+      "Scope is required"
+    );
+    jest.restoreAllMocks();
+  });
+
+  it("should take the issue key from the branch without prompts", async () => {
+    const cli = new CommitCLI({ preset: "jira" });
+    cli.git.getCurrentBranch = async () => "feature/PROJ-7-login";
+
+    expect(await cli.getRequiredScope()).toBe("PROJ-7");
+    expect(
+      await cli.buildMessage({ type: "resolve", subject: "fix login crash" })
+    ).toBe("PROJ-7 #resolve fix login crash");
+  });
+});
@@ -0,0 +1,74 @@
+// tests/unit/questions.test.js
+// Unit tests for prompt questions
+
+const questions = require("../../src/prompts/questions");
+const defaults = require("../../src/config/defaults");
+
+const find = (list, name) => list.find((question) => question.name === name);
+
+describe("questions", () => {
+  it("should check the subject with the configured rules", () => {
+    const config = { ...defaults, rules: { maxSubjectLength: 10 } };
+    const subject = find(questions.getAll(config), "subject");
+
+    expect(subject.validate("add login")).toBe(true);
+    expect(subject.validate("add login functionality")).toContain(
+      "Maximum is 10"
+    );
+    expect(subject.validate("added it")).toContain("imperative mood");
+  });
+
+  it("should honour the configured subject case", () => {
+    const config = { ...defaults, rules: { subjectCase: "uppercase" } };
+    const subject = find(questions.getQuick(config), "subject");
+
+    expect(subject.filter("add login.")).toBe("Add login");
+    expect(subject.validate("Add login")).toBe(true);
+  });
+
+  it("should offer every configured type in quick mode", () => {
+    const config = {
+      ...defaults,
+      types: [...defaults.types, { value: "deploy", name: "deploy" }],
+    };
+    const type = find(questions.getQuick(config), "type");
+
+    expect(type.choices.map((choice) => choice.value)).toContain("deploy");
+  });
+
+  it("should hide the empty scope when scopes are required", () => {
+    const config = { ...defaults, allowEmptyScopes: false };
+    const scope = find(questions.getAll(config), "scope");
+
+    expect(scope.choices().map((choice) => choice.value)).not.toContain(null);
+  });
+
+  it("should ask about breaking changes for allowed types only", () => {
+    const config = { ...defaults, rules: { allowBreakingChanges: ["feat"] } };
+    const isBreaking = find(questions.getAll(config), "isBreaking");
+
+    expect(isBreaking.when({ type: "feat" })).toBe(true);
+    expect(isBreaking.when({ type: "docs" })).toBe(false);
+  });
+
+  it("should pre-select a suggested type", () => {
+    const type = find(
+      questions.getAll(defaults, undefined, { type: "docs" }),
+      "type"
+    );
+
+    expect(type.default).toBe("docs");
+    expect(type.choices.find((c) => c.value === "docs").name).toContain(
+      "(suggested)"
+    );
+  });
+
+  it("should pre-fill a suggested subject", () => {
+    const subject = find(
+      questions.getAll(defaults, undefined, { subject: "add login" }),
+      "subject"
+    );
+
+    expect(subject.default).toBe("add login");
+  });
+});
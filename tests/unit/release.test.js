@@ -0,0 +1,214 @@
+// tests/unit/release.test.js
+// Unit tests for release helpers and the release command
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CommitCLI = require("../../src/index");
+const { bumpFileContent } = require("../../src/core/release");
+
+describe("bumpFileContent()", () => {
+  it("should update the version key and keep JSON indentation", () => {
+    const content = '{\n    "name": "app",\n    "version": "1.0.0"\n}\n';
+
+    expect(bumpFileContent(content, "package.json", "1.0.0", "1.1.0")).toBe(
+      '{\n    "name": "app",\n    "version": "1.1.0"\n}\n'
+    );
+  });
+
+  it("should update the root package of a lockfile", () => {
+    const content = JSON.stringify({
+      version: "1.0.0",
+      packages: { "": { version: "1.0.0" } },
+    });
+    const updated = JSON.parse(
+      bumpFileContent(content, "package-lock.json", "1.0.0", "2.0.0")
+    );
+
+    expect(updated.version).toBe("2.0.0");
+    expect(updated.packages[""].version).toBe("2.0.0");
+  });
+
+  it("should replace the version in text files", () => {
+    expect(bumpFileContent("1.0.0\n", "VERSION", "1.0.0", "1.0.1")).toBe(
+      "1.0.1\n"
+    );
+  });
+
+  it("should only replace the version field of text files", () => {
+    const cargo = [
+      "[package]",
+      'version = "1.0.0"',
+      "",
+      "[dependencies]",
+      'serde = { version = "1.0.0" }',
+      'log = "1.0.0"',
+    ].join("\n");
+
+    expect(bumpFileContent(cargo, "Cargo.toml", "1.0.0", "2.0.0")).toBe(
+      cargo.replace('version = "1.0.0"', 'version = "2.0.0"')
+    );
+    expect(
+      bumpFileContent("__version__ = '1.0.0'\n", "app.py", "1.0.0", "1.1.0")
+    ).toBe("__version__ = '1.1.0'\n");
+    expect(
+      bumpFileContent(
+        "version: 1.0.0\nappVersion: 1.0.0\n",
+        "Chart.yaml",
+        "1.0.0",
+        "1.1.0"
+      )
+    ).toBe("version: 1.1.0\nappVersion: 1.0.0\n");
+  });
+
+  it("should fail when a text file doesn't contain the version", () => {
+    expect(() =>
+      bumpFileContent("no version here", "VERSION", "1.0.0", "1.0.1")
+    ).toThrow("does not contain version 1.0.0");
+    expect(() =>
+      bumpFileContent("needs node 1.0.0 or later\n", "README", "1.0.0", "1.0.1")
+    ).toThrow("does not contain version 1.0.0");
+  });
+});
+
+describe("CommitCLI.release()", () => {
+  let dir;
+  let cli;
+  let output;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-release-"));
+    fs.writeFileSync(
+      path.join(dir, "package.json"),
+      '{\n  "name": "app",\n  "version": "1.2.0"\n}\n'
+    );
+
+    cli = new CommitCLI();
+    cli.git = {
+      isGitRepo: async () => true,
+      hasStagedChanges: async () => false,
+      getRepoRoot: async () => dir,
+      getCurrentBranch: async () => "main",
+      getTags: async () => ["v1.1.0", "v1.2.0"],
+      getCommitsBetween: async () => [
+        { hash: "a1b2c3d", message: "feat: add login" },
+        { hash: "b2c3d4e", message: "fix: handle empty password" },
+      ],
+      stageFiles: jest.fn(async () => {}),
+      commit: jest.fn(async () => {}),
+      createTag: jest.fn(async () => {}),
+    };
+    output = [];
+    jest
+      .spyOn(console, "log")
+      .mockImplementation((...args) => output.push(args.join(" ")));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should show the plan without touching anything on --dry-run", async () => {
+    await cli.release({ dryRun: true });
+
+    const text = output.join("\n");
+    expect(text).toContain("Release v1.3.0");
+    expect(text).toContain("chore(release): v1.3.0");
+    expect(text).toContain("* add login (a1b2c3d)");
+    expect(fs.readFileSync(path.join(dir, "package.json"), "utf8")).toContain(
+      '"version": "1.2.0"'
+    );
+    expect(fs.existsSync(path.join(dir, "CHANGELOG.md"))).toBe(false);
+    expect(cli.git.commit).not.toHaveBeenCalled();
+    expect(cli.git.createTag).not.toHaveBeenCalled();
+  });
+
+  it("should bump, write the changelog, commit and tag", async () => {
+    await cli.release();
+
+    const changelog = path.join(dir, "CHANGELOG.md");
+    expect(fs.readFileSync(path.join(dir, "package.json"), "utf8")).toContain(
+      '"version": "1.3.0"'
+    );
+    expect(fs.readFileSync(changelog, "utf8")).toContain("add login");
+    expect(cli.git.stageFiles).toHaveBeenCalledWith([
+      path.join(dir, "package.json"),
+      changelog,
+    ]);
+    expect(cli.git.commit).toHaveBeenCalledWith("chore(release): v1.3.0");
+    expect(cli.git.createTag).toHaveBeenCalledWith(
+      "v1.3.0",
+      "chore(release): v1.3.0"
+    );
+  });
+
+  it("should honour --release-as", async () => {
+    await cli.release({ releaseAs: "major", changelog: false });
+
+    expect(cli.git.stageFiles).toHaveBeenCalledWith([
+      path.join(dir, "package.json"),
+    ]);
+    expect(cli.git.createTag).toHaveBeenCalledWith(
+      "v2.0.0",
+      "chore(release): v2.0.0"
+    );
+  });
+
+  it.each(["none", "1.2"])(
+    "should reject --release-as %s before writing anything",
+    async (releaseAs) => {
+      const exit = jest.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+
+      await expect(cli.release({ releaseAs })).rejects.toThrow("exit 1");
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(output.join("\n")).toContain(
+        `Invalid version "${releaseAs}". Use patch, minor, major or a version`
+      );
+      expect(fs.readFileSync(path.join(dir, "package.json"), "utf8")).toContain(
+        '"version": "1.2.0"'
+      );
+      expect(cli.git.commit).not.toHaveBeenCalled();
+    }
+  );
+});
+
+describe("CommitCLI.getReleaseMessage()", () => {
+  const releaseMessage = (config, branch = "main") => {
+    const cli = new CommitCLI(config);
+    cli.git.getCurrentBranch = async () => branch;
+    return cli.getReleaseMessage("v2.0.0", "2.0.0");
+  };
+
+  it("should build a valid release commit for each preset", async () => {
+    expect(await releaseMessage({})).toBe("chore(release): v2.0.0");
+    expect(await releaseMessage({ preset: "gitmoji" })).toBe(
+      ":bookmark: release v2.0.0"
+    );
+    expect(await releaseMessage({ preset: "eslint" })).toBe(
+      "Chore: Release v2.0.0"
+    );
+    expect(await releaseMessage({ preset: "jira" }, "release/PROJ-7-v2")).toBe(
+      "PROJ-7 #comment release v2.0.0"
+    );
+  });
+
+  it("should use release.commit from the config", async () => {
+    expect(
+      await releaseMessage({
+        release: {
+          commit: { type: "build", scope: null, subject: "{version}" },
+        },
+      })
+    ).toBe("build: 2.0.0");
+  });
+
+  it("should reject release commits that break the rules", async () => {
+    await expect(releaseMessage({ preset: "jira" })).rejects.toThrow(
+      'Invalid release commit " #comment release v2.0.0"'
+    );
+  });
+});
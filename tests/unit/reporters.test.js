@@ -0,0 +1,72 @@
+// tests/unit/reporters.test.js
+// Unit tests for validation reporters
+
+const reporters = require("../../src/utils/reporters");
+
+describe("reporters", () => {
+  const records = [
+    {
+      hash: "a1b2c3d",
+      author: "Jane",
+      header: "feat: add <login>",
+      skipped: false,
+      valid: true,
+      violations: [],
+    },
+    {
+      hash: "b2c3d4e",
+      author: "John",
+      header: "Fixed stuff",
+      skipped: false,
+      valid: false,
+      violations: [
+        {
+          rule: "commit-message",
+          severity: "error",
+          message: "Header must follow format: type(scope): subject",
+        },
+      ],
+    },
+  ];
+  const summary = { total: 2, valid: 1, invalid: 1, skipped: 0 };
+
+  it("should produce JSON with summary and commits", () => {
+    const report = JSON.parse(reporters.json(records, summary));
+
+    expect(report.summary).toEqual(summary);
+    expect(report.commits).toHaveLength(2);
+  });
+
+  it("should produce JUnit XML with escaped names and failures", () => {
+    const xml = reporters.junit(records, summary);
+
+    expect(xml).toContain('tests="2" failures="1" skipped="0"');
+    expect(xml).toContain('name="a1b2c3d feat: add &lt;login&gt;"');
+    expect(xml).toContain(
+      '<failure message="Header must follow format: type(scope): subject">'
+    );
+  });
+
+  it("should produce SARIF results with rule ids", () => {
+    const sarif = JSON.parse(reporters.sarif(records, summary));
+    const run = sarif.runs[0];
+
+    expect(sarif.version).toBe("2.1.0");
+    expect(run.tool.driver.rules.map((r) => r.id)).toEqual(["commit-message"]);
+    expect(run.results[0]).toMatchObject({
+      ruleId: "commit-message",
+      level: "error",
+    });
+  });
+
+  it("should produce GitHub workflow annotations", () => {
+    const output = reporters.github(records, summary).split("\n");
+
+    expect(output[0]).toBe(
+      "::error title=Commit b2c3d4e (commit-message)::Fixed stuff%0AHeader must follow format: type(scope): subject"
+    );
+    expect(output[1]).toBe(
+      "::notice title=Commit validation::1 valid, 1 invalid, 0 skipped"
+    );
+  });
+});
@@ -0,0 +1,117 @@
+// tests/unit/scopes.test.js
+// Unit tests for path-to-scope mapping
+
+const {
+  compileScopePattern,
+  matchScope,
+  explainScopes,
+} = require("../../src/core/scopes");
+const Formatter = require("../../src/core/formatter");
+const defaults = require("../../src/config/defaults");
+
+describe("compileScopePattern()", () => {
+  it("should anchor patterns with a leading or inner slash", () => {
+    expect(compileScopePattern("/docs/")("docs/guide.md")).toBe(true);
+    expect(compileScopePattern("/docs/")("site/docs/guide.md")).toBe(false);
+    expect(compileScopePattern("src/api")("src/api/users.js")).toBe(true);
+    expect(compileScopePattern("src/api")("lib/src/api/users.js")).toBe(false);
+  });
+
+  it("should match unanchored patterns at any depth", () => {
+    expect(compileScopePattern("*.md")("README.md")).toBe(true);
+    expect(compileScopePattern("*.md")("docs/guide/setup.md")).toBe(true);
+    expect(compileScopePattern("config/")("app/config/db.js")).toBe(true);
+  });
+
+  it("should only match directories with a trailing slash", () => {
+    expect(compileScopePattern("build/")("build")).toBe(false);
+    expect(compileScopePattern("build")("build")).toBe(true);
+  });
+});
+
+describe("matchScope()", () => {
+  const mapping = [
+    { pattern: "/src/", scope: "core" },
+    { pattern: "/src/api/", scope: "api" },
+  ];
+
+  it("should let the last matching entry win", () => {
+    expect(matchScope("src/api/users.js", mapping)).toEqual({
+      scope: "api",
+      pattern: "/src/api/",
+      index: 1,
+    });
+    expect(matchScope("src/index.js", mapping).scope).toBe("core");
+    expect(matchScope("README.md", mapping)).toBeNull();
+  });
+});
+
+describe("explainScopes()", () => {
+  it("should score scopes by changed lines", () => {
+    const { scores } = explainScopes(
+      ["src/api/users.js", "src/api/routes.js", "src/ui/button.js"],
+      {
+        mapping: defaults.scopeMapping,
+        weights: {
+          "src/api/users.js": 2,
+          "src/api/routes.js": 3,
+          "src/ui/button.js": 40,
+        },
+      }
+    );
+
+    expect(scores.map((score) => [score.scope, score.weight])).toEqual([
+      ["ui", 40],
+      ["api", 5],
+    ]);
+  });
+
+  it("should prefer monorepo packages over patterns matching at any depth", () => {
+    const packages = [{ name: "@acme/web", scope: "web", dir: "apps/web" }];
+    const { files } = explainScopes(
+      [
+        "apps/web/README.md",
+        "apps/web/package.json",
+        "apps/web/src/api/a.js",
+        "package.json",
+      ],
+      {
+        mapping: [
+          { pattern: "/apps/web/src/api/", scope: "api" },
+          { pattern: "README*", scope: "docs" },
+          { pattern: "package.json", scope: "deps" },
+        ],
+        packages,
+      }
+    );
+
+    expect(files.map((entry) => [entry.scope, entry.source])).toEqual([
+      ["web", "package"],
+      ["web", "package"],
+      ["api", "mapping"],
+      ["deps", "mapping"],
+    ]);
+  });
+});
+
+describe("Formatter.suggestScope() with scopeMapping", () => {
+  it("should use the configured mapping", () => {
+    const formatter = new Formatter({
+      scopeMapping: [{ pattern: "/services/billing/", scope: "billing" }],
+    });
+
+    expect(formatter.suggestScope(["services/billing/invoice.js"])).toBe(
+      "billing"
+    );
+  });
+
+  it("should pick the scope covering most changed lines", () => {
+    const formatter = new Formatter(defaults);
+    const files = ["docs/guide.md", "src/api/users.js"];
+
+    expect(formatter.suggestScope(files, { "src/api/users.js": 50 })).toBe(
+      "api"
+    );
+    expect(formatter.suggestScope(files, { "docs/guide.md": 50 })).toBe("docs");
+  });
+});
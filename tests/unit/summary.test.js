@@ -0,0 +1,130 @@
+// tests/unit/summary.test.js
+// Unit tests for subject generation from the staged diff
+
+const { parseDiff } = require("../../src/core/diff");
+const { describeChanges, summarizeDiff } = require("../../src/core/summary");
+const { diffFor } = require("../helpers/diff");
+
+const summarize = (...diffs) =>
+  summarizeDiff(parseDiff(diffs.join("\n")), { maxLength: 72 });
+
+describe("summarizeDiff()", () => {
+  it("should name added and removed functions and classes", () => {
+    expect(
+      summarize(
+        diffFor(
+          "src/auth.js",
+          [
+            "+export function login(user) {",
+            "+export class Session {",
+            "+  refresh() {",
+            "-export const legacyLogin = async (user) => {",
+            "-export function unused() {",
+          ],
+          { status: "modified" }
+        )
+      )
+    ).toBe("add login, Session and refresh, remove legacyLogin and unused");
+  });
+
+  it("should treat one symbol out and one in as a rename", () => {
+    expect(
+      summarize(
+        diffFor("src/a.js", [
+          "-export function fetchUser() {",
+          "+export function loadUser() {",
+        ])
+      )
+    ).toBe("rename fetchUser to loadUser");
+  });
+
+  it("should only name exported functions and public methods", () => {
+    const changes = describeChanges(
+      parseDiff(
+        diffFor("src/auth.js", [
+          "+function helper() {",
+          "+function login() {",
+          "+class Session {",
+          "+  constructor() {",
+          "+  _reset() {",
+          "+  refresh() {",
+          " module.exports = {",
+          "+  login,",
+          " };",
+        ])
+      )
+    );
+
+    expect(changes.symbols.added).toEqual(["login", "refresh"]);
+  });
+
+  it("should not report symbols whose signature only changed", () => {
+    const changes = describeChanges(
+      parseDiff(
+        diffFor("src/a.js", [
+          "-  getAll(config = {}) {",
+          "+  getAll(",
+          "+    config = {},",
+          "+    options = {}",
+          "+  ) {",
+        ])
+      )
+    );
+
+    expect(changes.symbols).toEqual({ added: [], removed: [], renamed: [] });
+  });
+
+  it("should describe renamed files", () => {
+    expect(
+      summarize(
+        diffFor("src/core/summary.js", [], {
+          status: "renamed",
+          from: "src/core/summarize.js",
+        })
+      )
+    ).toBe("rename summarize.js to summary.js");
+  });
+
+  it("should describe dependency changes in package.json", () => {
+    const bump = diffFor("package.json", [
+      '-    "chalk": "^4.1.0",',
+      '+    "chalk": "^4.1.2",',
+    ]);
+    const added = diffFor("package.json", [
+      '+    "ora": "^5.4.1",',
+      '+    "boxen": "^5.1.2",',
+    ]);
+
+    expect(summarize(bump)).toBe("bump chalk to 4.1.2");
+    expect(summarize(added)).toBe("add ora and boxen");
+  });
+
+  it("should name changed config keys", () => {
+    expect(
+      summarize(
+        diffFor(".commitrc.json", [
+          '-  "allowCustomScopes": true,',
+          '+  "allowCustomScopes": false,',
+          '+  "headerFormat": "conventional",',
+        ])
+      )
+    ).toBe("update allowCustomScopes and headerFormat in .commitrc.json");
+  });
+
+  it("should shorten long lists to fit the maximum length", () => {
+    const lines = ["alpha", "bravo", "charlie", "delta", "echo", "foxtrot"].map(
+      (name) => `+export function ${name}LongFunctionName() {`
+    );
+    const subject = summarize(diffFor("src/a.js", lines));
+
+    expect(subject.length).toBeLessThanOrEqual(72);
+    expect(subject).toMatch(/^add alphaLongFunctionName, .* and \d more$/);
+  });
+
+  it("should return null when nothing stands out", () => {
+    expect(summarize(diffFor("src/a.js", ["-a();", "+b();"]))).toBeNull();
+    expect(
+      summarize(diffFor("tests/a.test.js", ["+function helper() {"]))
+    ).toBeNull();
+  });
+});
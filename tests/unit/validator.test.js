@@ -2,6 +2,7 @@
 // Unit tests for Validator class
 
 const Validator = require("../../src/core/validator");
+const defaults = require("../../src/config/defaults");
 
 describe("Validator", () => {
   let validator;
@@ -69,6 +70,12 @@ describe("Validator", () => {
       expect(result.errors.some((e) => e.includes("too long"))).toBe(true);
     });
 
+    it("should accept breaking change marker", () => {
+      const result = validator.validate("feat(api)!: drop v1 endpoints");
+
+      expect(result.valid).toBe(true);
+    });
+
     it("should accept message without scope", () => {
       const message = "feat: add login";
       const result = validator.validate(message);
@@ -175,6 +182,21 @@ Closes #123`;
       });
     });
 
+    it("should parse breaking marker and trailers", () => {
+      const parsed = validator.parse(
+        "feat(api/v2)!: drop v1\n\nReviewed-by: Z\nRefs #45"
+      );
+
+      expect(parsed).toEqual({
+        type: "feat",
+        scope: "api/v2",
+        subject: "drop v1",
+        body: null,
+        footer: "Reviewed-by: Z\nRefs #45",
+        breaking: true,
+      });
+    });
+
     it("should parse message without scope", () => {
       const message = "fix: resolve bug";
       const parsed = validator.parse(message);
@@ -241,3 +263,229 @@ describe("Validator with custom config", () => {
     expect(result.errors.every((e) => !e.includes("imperative"))).toBe(true);
   });
 });
+
+describe("Validator rules", () => {
+  it("should report which rule fired", () => {
+    const result = new Validator().validate("feat: add login.");
+
+    expect(result.problems).toContainEqual({
+      rule: "subject-full-stop",
+      level: "error",
+      message: "Subject must not end with a period",
+    });
+  });
+
+  it("should not block on warnings", () => {
+    const validator = new Validator({
+      "subject-max-length": ["warn", "always", 10],
+    });
+    const result = validator.validate("feat: add login functionality");
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toHaveLength(1);
+    expect(result.warnings[0]).toContain("Maximum is 10");
+  });
+
+  it("should turn rules off", () => {
+    const validator = new Validator({ "subject-imperative": "off" });
+
+    expect(validator.validate("feat: added login").valid).toBe(true);
+  });
+
+  it("should accept numeric levels and object settings", () => {
+    const validator = new Validator({
+      "subject-case": 0,
+      "header-max-length": { level: "error", value: 20 },
+    });
+    const result = validator.validate("feat: Add login functionality");
+
+    expect(result.errors).toEqual([
+      "Header is too long (29 chars). Maximum is 20",
+    ]);
+  });
+
+  it("should support never applicability", () => {
+    const validator = new Validator({
+      "subject-full-stop": ["error", "always", "."],
+    });
+
+    expect(validator.validate("feat: add login").errors).toContain(
+      "Subject must end with a period"
+    );
+  });
+
+  it("should let rule ids override legacy keys", () => {
+    const validator = new Validator({
+      maxSubjectLength: 10,
+      "subject-max-length": ["error", "always", 50],
+    });
+
+    expect(validator.validate("feat: add login functionality").valid).toBe(
+      true
+    );
+  });
+
+  it("should warn about missing blank lines", () => {
+    const result = new Validator().validate(
+      "feat: add login\nbody text\nRefs: #12"
+    );
+
+    expect(result.valid).toBe(true);
+    expect(result.problems.map((p) => p.rule)).toEqual([
+      "body-leading-blank",
+      "footer-leading-blank",
+    ]);
+  });
+
+  it("should enforce configured scopes when scope-enum is enabled", () => {
+    const validator = new Validator({ "scope-enum": "error" });
+
+    expect(validator.validate("feat(api): add login").valid).toBe(true);
+    expect(validator.validate("feat(nope): add login").errors[0]).toContain(
+      'Invalid scope "nope"'
+    );
+  });
+
+  it("should reject unknown rules", () => {
+    expect(() => new Validator({ "no-such-rule": "error" })).toThrow(
+      'Unknown rule "no-such-rule"'
+    );
+    expect(() => new Validator({ maxSubjectLenght: 50 })).toThrow(
+      'Unknown rule "maxSubjectLenght"'
+    );
+  });
+
+  it("should reject cases it cannot check", () => {
+    expect(
+      () => new Validator({ "subject-case": ["error", "always", "camelcase"] })
+    ).toThrow('Invalid case for rule "subject-case"');
+    expect(() => new Validator({ subjectCase: "camelcase" })).toThrow(
+      'Invalid subjectCase "camelcase"'
+    );
+  });
+
+  it("should run registered rules", () => {
+    const validator = new Validator();
+    validator.registerRule({
+      id: "subject-no-wip",
+      validate: ({ header }) =>
+        header && /wip/i.test(header.subject) ? ["No WIP commits"] : [],
+    });
+
+    expect(validator.validate("feat: add wip login").problems).toContainEqual({
+      rule: "subject-no-wip",
+      level: "error",
+      message: "No WIP commits",
+    });
+  });
+});
+
+describe("Validator with project config", () => {
+  const config = {
+    ...defaults,
+    types: [...defaults.types, { value: "deploy", name: "deploy" }],
+    scopes: ["api", "ui"],
+    allowCustomScopes: false,
+    allowEmptyScopes: false,
+  };
+
+  it("should accept types added in config", () => {
+    const validator = new Validator(config.rules, { config });
+
+    expect(validator.validate("deploy(api): ship to staging").valid).toBe(true);
+  });
+
+  it("should enforce the scope policy", () => {
+    const validator = new Validator(config.rules, { config });
+
+    expect(validator.validate("feat(db): add users").errors[0]).toContain(
+      'Invalid scope "db"'
+    );
+    expect(validator.validate("feat: add users").errors).toEqual([
+      "Scope is required",
+    ]);
+  });
+
+  it("should only allow breaking changes for configured types", () => {
+    const validator = new Validator({ allowBreakingChanges: ["feat"] });
+
+    expect(validator.validate("feat!: drop node 16").valid).toBe(true);
+    expect(validator.validate("refactor!: drop node 16").errors).toEqual([
+      'Breaking changes are not allowed for type "refactor". Allowed: feat',
+    ]);
+  });
+});
+
+describe("Validator references-empty rule", () => {
+  const rules = { ...defaults.rules, "references-empty": "error" };
+  const required =
+    "Commit must reference an issue (e.g. Refs #123 or PROJ-123)";
+
+  it("should require a reference for the configured types", () => {
+    const validator = new Validator(rules);
+
+    expect(validator.validate("feat: add login").errors).toEqual([required]);
+    expect(validator.validate("feat: add login (#12)").valid).toBe(true);
+    expect(validator.validate("fix: handle expiry\n\nRefs PROJ-7").valid).toBe(
+      true
+    );
+    expect(validator.validate("fix: handle expiry\n\nCloses #12").valid).toBe(
+      true
+    );
+    expect(
+      validator.validate(
+        "fix: handle expiry\n\nCloses: https://github.com/acme/app/issues/3"
+      ).valid
+    ).toBe(true);
+    expect(validator.validate("docs: update readme").valid).toBe(true);
+  });
+
+  it("should skip allowlisted headers", () => {
+    const validator = new Validator({ ...rules, allowBreakingChanges: [] });
+    const config = {
+      ...defaults,
+      issues: {
+        ...defaults.issues,
+        required: { types: [], branches: [], allow: ["^chore\\(release\\)"] },
+      },
+    };
+    const everyCommit = new Validator(rules, { config });
+
+    expect(validator.validate("chore(release): v1.2.0").valid).toBe(true);
+    expect(everyCommit.validate("chore(release): v1.2.0").valid).toBe(true);
+    expect(everyCommit.validate("docs: update readme").errors).toEqual([
+      required,
+    ]);
+  });
+
+  it("should require references on matching branches", () => {
+    const config = {
+      ...defaults,
+      issues: {
+        ...defaults.issues,
+        required: { types: [], branches: ["release/*"], allow: [] },
+      },
+    };
+    const validator = new Validator(rules, { config });
+
+    expect(
+      validator.validate("docs: update readme", { branch: "release/2.0" }).valid
+    ).toBe(false);
+    expect(
+      validator.validate("docs: update readme", { branch: "main" }).valid
+    ).toBe(true);
+  });
+
+  it("should accept configured reference formats", () => {
+    const config = {
+      ...defaults,
+      issues: { ...defaults.issues, referenceFormats: ["^TCK\\d+$"] },
+    };
+    const validator = new Validator(rules, { config });
+
+    expect(validator.validate("feat: add login\n\nRefs TCK42").valid).toBe(
+      true
+    );
+    expect(validator.validate("feat: add login (#12)").valid).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+// tests/unit/version.test.js
+// Unit tests for version helpers
+
+const Validator = require("../../src/core/validator");
+const {
+  parseVersion,
+  compareVersions,
+  getLatestVersionTag,
+  incrementVersion,
+  recommendBump,
+} = require("../../src/core/version");
+
+describe("parseVersion()", () => {
+  it("should parse versions with prefix and prerelease", () => {
+    expect(parseVersion("v1.2.3-rc.4")).toEqual({
+      prefix: "v",
+      major: 1,
+      minor: 2,
+      patch: 3,
+      prerelease: ["rc", 4],
+    });
+  });
+
+  it("should return null for non-semver strings", () => {
+    expect(parseVersion("release-2024")).toBeNull();
+    expect(parseVersion("1.2")).toBeNull();
+  });
+});
+
+describe("compareVersions()", () => {
+  it("should order by semver precedence", () => {
+    const versions = [
+      "1.0.0",
+      "1.0.0-rc.1",
+      "0.9.0",
+      "1.0.0-beta",
+      "1.0.0-rc.10",
+    ];
+
+    expect(versions.sort(compareVersions)).toEqual([
+      "0.9.0",
+      "1.0.0-beta",
+      "1.0.0-rc.1",
+      "1.0.0-rc.10",
+      "1.0.0",
+    ]);
+  });
+});
+
+describe("getLatestVersionTag()", () => {
+  it("should ignore tags that aren't versions", () => {
+    expect(
+      getLatestVersionTag(["v1.9.0", "latest", "v1.10.0", "v1.10.0-rc.1"])
+    ).toBe("v1.10.0");
+    expect(getLatestVersionTag(["nightly"])).toBeNull();
+  });
+});
+
+describe("incrementVersion()", () => {
+  it("should bump stable versions", () => {
+    expect(incrementVersion("1.2.3", "major")).toBe("2.0.0");
+    expect(incrementVersion("1.2.3", "minor")).toBe("1.3.0");
+    expect(incrementVersion("1.2.3", "patch")).toBe("1.2.4");
+  });
+
+  it("should release a prerelease", () => {
+    expect(incrementVersion("1.3.0-rc.2", "minor")).toBe("1.3.0");
+    expect(incrementVersion("2.0.0-rc.0", "patch")).toBe("2.0.0");
+  });
+
+  it("should start and continue prereleases", () => {
+    expect(incrementVersion("1.2.3", "minor", "rc")).toBe("1.3.0-rc.0");
+    expect(incrementVersion("1.3.0-rc.0", "patch", "rc")).toBe("1.3.0-rc.1");
+    expect(incrementVersion("1.3.0-rc.1", "major", "rc")).toBe("2.0.0-rc.0");
+    expect(incrementVersion("1.3.0-beta.4", "minor", "rc")).toBe("1.3.0-rc.0");
+  });
+});
+
+describe("recommendBump()", () => {
+  const validator = new Validator();
+  const commits = (...messages) => messages.map((message) => ({ message }));
+
+  it("should recommend major for breaking changes", () => {
+    const result = recommendBump(
+      commits("fix: a bug", "feat: new\n\nBREAKING CHANGE: removed x"),
+      validator
+    );
+
+    expect(result.releaseType).toBe("major");
+    expect(result.stats.breaking).toBe(1);
+  });
+
+  it("should read breaking notes spanning lines or next to references", () => {
+    const result = recommendBump(
+      commits(
+        "feat: x\n\nBREAKING CHANGE: drops old\napi entirely",
+        "feat: y\n\nRefs PROJ-123\nBREAKING CHANGE: drops api"
+      ),
+      validator
+    );
+
+    expect(result.releaseType).toBe("major");
+    expect(result.stats.breaking).toBe(2);
+  });
+
+  it("should recommend minor for features and patch for fixes", () => {
+    expect(
+      recommendBump(commits("feat: add x", "fix: y"), validator).releaseType
+    ).toBe("minor");
+    expect(
+      recommendBump(commits("perf: speed up"), validator).releaseType
+    ).toBe("patch");
+  });
+
+  it("should recommend none without releasable commits", () => {
+    const result = recommendBump(commits("docs: update readme"), validator);
+
+    expect(result.releaseType).toBe("none");
+    expect(result.reason).toBe("No releasable changes found");
+  });
+
+  it("should only bump minor for breaking changes before 1.0.0", () => {
+    const breaking = commits("feat: new\n\nBREAKING CHANGE: removed x");
+
+    expect(
+      recommendBump(breaking, validator, {
+        preMajor: true,
+        currentVersion: "0.4.1",
+      }).releaseType
+    ).toBe("minor");
+    expect(
+      recommendBump(breaking, validator, {
+        preMajor: true,
+        currentVersion: "1.4.1",
+      }).releaseType
+    ).toBe("major");
+  });
+});
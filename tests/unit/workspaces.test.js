@@ -0,0 +1,111 @@
+// tests/unit/workspaces.test.js
+// Unit tests for monorepo package discovery
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  findWorkspacePackages,
+  groupFilesByPackage,
+} = require("../../src/utils/workspaces");
+const Formatter = require("../../src/core/formatter");
+
+describe("findWorkspacePackages()", () => {
+  let dir;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+  const writePackage = (pkgDir, name) =>
+    write(`${pkgDir}/package.json`, JSON.stringify({ name }));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-workspaces-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should read npm workspaces and strip npm scopes", async () => {
+    write("package.json", JSON.stringify({ workspaces: ["packages/*"] }));
+    writePackage("packages/ui", "@acme/ui");
+    writePackage("packages/api", "api-server");
+    writePackage("packages/ui/node_modules/dep", "dep");
+
+    const packages = await findWorkspacePackages(dir);
+
+    expect(packages).toEqual([
+      { name: "api-server", scope: "api-server", dir: "packages/api" },
+      { name: "@acme/ui", scope: "ui", dir: "packages/ui" },
+    ]);
+  });
+
+  it("should read pnpm-workspace.yaml with nested and negated globs", async () => {
+    write(
+      "pnpm-workspace.yaml",
+      "packages:\n  - 'apps/**'\n  - '!apps/legacy'\n"
+    );
+    writePackage("apps/web", "web");
+    writePackage("apps/tools/cli", "cli");
+    writePackage("apps/legacy", "legacy");
+
+    const packages = await findWorkspacePackages(dir);
+
+    expect(packages.map((pkg) => pkg.scope)).toEqual(["cli", "web"]);
+  });
+
+  it("should default lerna packages to packages/*", async () => {
+    write("lerna.json", JSON.stringify({ version: "1.0.0" }));
+    writePackage("packages/core", "@acme/core");
+
+    const packages = await findWorkspacePackages(dir);
+
+    expect(packages.map((pkg) => pkg.scope)).toEqual(["core"]);
+  });
+
+  it("should return nothing outside a monorepo", async () => {
+    write("package.json", JSON.stringify({ name: "app" }));
+
+    expect(await findWorkspacePackages(dir)).toEqual([]);
+  });
+});
+
+describe("package scopes", () => {
+  const packages = [
+    { name: "@acme/ui", scope: "ui", dir: "packages/ui" },
+    { name: "@acme/api", scope: "api", dir: "packages/api" },
+    { name: "@acme/api-v2", scope: "api-v2", dir: "packages/api/v2" },
+  ];
+
+  it("should map files to the deepest owning package", () => {
+    const groups = groupFilesByPackage(
+      [
+        "packages/api/index.js",
+        "packages/api/v2/index.js",
+        "packages/api/v2/routes.js",
+        "README.md",
+      ],
+      packages
+    );
+
+    expect(groups.map((group) => [group.scope, group.files.length])).toEqual([
+      ["api-v2", 2],
+      ["api", 1],
+    ]);
+  });
+
+  it("should suggest comma-separated package scopes", () => {
+    const formatter = new Formatter({}, { packages });
+
+    expect(formatter.suggestScope(["packages/ui/button.js"])).toBe("ui");
+    expect(
+      formatter.suggestScope([
+        "packages/ui/button.js",
+        "packages/api/index.js",
+        "packages/api/routes.js",
+      ])
+    ).toBe("api,ui");
+  });
+});